@@ -9,7 +9,17 @@ import { existsSync, mkdirSync } from 'fs';
 import { initializeDatabase, getWallpaperCount } from './services/database.js';
 import wallpapersRouter from './routes/wallpapers.js';
 import categoriesRouter from './routes/categories.js';
-import { fetchAllCategoryWallpapers, seedDatabase } from './jobs/fetchWallpapers.js';
+import adminRouter from './routes/admin.js';
+import imagesRouter from './routes/images.js';
+import tagsRouter from './routes/tags.js';
+import photographersRouter from './routes/photographers.js';
+import { rateLimit } from './middleware/rateLimit.js';
+import { getProviders } from './services/providers.js';
+import { fetchAllCategoryWallpapers, seedDatabase, startCuratedFetch } from './jobs/fetchWallpapers.js';
+import { refreshTrendingScores } from './jobs/trending.js';
+import { backfillPlaceholders } from './jobs/placeholders.js';
+import { refreshDailyWallpaper } from './jobs/daily.js';
+import { pruneCachedImages } from './jobs/imageCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,6 +34,12 @@ if (!existsSync(dataDir)) {
 const app = express();
 const PORT = process.env.PORT || 1080;
 
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY=1 so req.ip is the client's IP
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -43,9 +59,16 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Rate limit public reads (download tracking and admin routes have their own groups)
+const listingLimit = rateLimit('listing', { methods: ['GET', 'HEAD'] });
+
 // API Routes
-app.use('/api/wallpapers', wallpapersRouter);
-app.use('/api/categories', categoriesRouter);
+app.use('/api/wallpapers', listingLimit, wallpapersRouter);
+app.use('/api/categories', listingLimit, categoriesRouter);
+app.use('/api/tags', listingLimit, tagsRouter);
+app.use('/api/photographers', listingLimit, photographersRouter);
+app.use('/api/images', rateLimit('images', { methods: ['GET', 'HEAD'] }), imagesRouter);
+app.use('/api/admin', adminRouter); // API key required (see middleware/adminAuth.js)
 
 // 404 handler
 app.use((req, res) => {
@@ -76,10 +99,16 @@ if (!MONGODB_URI) {
 
 // Connect to MongoDB
 mongoose.connect(MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     console.log('📦 Connected to MongoDB');
-    initializeDatabase();
-    checkAndSeed();
+    // Backfills finish before seeding and scheduled jobs, so those see migrated data
+    try {
+      await initializeDatabase();
+    } catch (error) {
+      console.error('❌ Database initialization failed:', error);
+    }
+    scheduleJobs();
+    await checkAndSeed();
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
@@ -87,23 +116,46 @@ mongoose.connect(MONGODB_URI)
   });
 
 
-// Schedule cron jobs for wallpaper fetching
-// Runs every 2 hours for maximum content
-cron.schedule('0 */2 * * *', async () => {
-  console.log('\n⏰ Scheduled wallpaper fetch starting...');
-  await fetchAllCategoryWallpapers();
-});
-
-// Manual seed endpoint (useful for initial setup)
-app.post('/api/admin/seed', async (req, res) => {
-  try {
-    console.log('🌱 Manual seed triggered');
-    seedDatabase(); // Run in background
-    res.json({ success: true, message: 'Seeding started in background' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+/**
+ * Schedule the cron jobs
+ * Called once the database is initialized, so no job runs during the backfills
+ */
+function scheduleJobs() {
+  // Fetch wallpapers for every category every 2 hours for maximum content
+  cron.schedule('0 */2 * * *', async () => {
+    console.log('\n⏰ Scheduled wallpaper fetch starting...');
+    await fetchAllCategoryWallpapers({ trigger: 'cron' });
+  });
+  
+  // Refresh the featured feed from provider curated feeds every 6 hours,
+  // between the 2-hourly category fetches
+  cron.schedule('0 3,9,15,21 * * *', async () => {
+    const { started, done } = await startCuratedFetch({ trigger: 'cron' });
+    if (started) {
+      await done;
+    }
+  });
+  
+  // Refresh trending scores every hour
+  cron.schedule('15 * * * *', async () => {
+    await refreshTrendingScores();
+  });
+  
+  // Fill in BlurHash/LQIP placeholders for older wallpapers every hour
+  cron.schedule('30 * * * *', async () => {
+    await backfillPlaceholders();
+  });
+  
+  // Evict least recently served images once the cache outgrows IMAGE_CACHE_MAX_MB
+  cron.schedule('45 * * * *', async () => {
+    await pruneCachedImages();
+  });
+  
+  // Pick the wallpaper of the day at midnight UTC
+  cron.schedule('0 0 * * *', async () => {
+    await refreshDailyWallpaper();
+  }, { timezone: 'Etc/UTC' });
+}
 
 // Check if we need to seed on startup
 async function checkAndSeed() {
@@ -112,8 +164,9 @@ async function checkAndSeed() {
     console.log(`📊 Current wallpaper count: ${count}`);
     if (count === 0) {
       console.log('📭 Database is empty, starting initial seed...');
-      await seedDatabase();
+      await seedDatabase({ trigger: 'startup' });
     }
+    await refreshDailyWallpaper();
   } catch (error) {
     console.error('❌ Error checking/seeding DB:', error);
   }
@@ -131,23 +184,34 @@ app.listen(PORT, async () => {
 ║   Endpoints:                                      ║
 ║   • GET  /api/health                              ║
 ║   • GET  /api/wallpapers                          ║
+║   • GET  /api/wallpapers/search                   ║
+║   • GET  /api/wallpapers/featured                 ║
+║   • GET  /api/wallpapers/daily                    ║
 ║   • GET  /api/wallpapers/:id                      ║
 ║   • GET  /api/wallpapers/category/:slug           ║
 ║   • POST /api/wallpapers/:id/download             ║
 ║   • GET  /api/categories                          ║
 ║   • GET  /api/categories/:slug                    ║
+║   • GET  /api/tags                                ║
+║   • GET  /api/photographers                       ║
+║   • GET  /api/images/:id/:variant                 ║
 ║                                                   ║
 ╚═══════════════════════════════════════════════════╝
   `);
   
-  // Check if API keys are configured
-  if (!process.env.UNSPLASH_ACCESS_KEY || process.env.UNSPLASH_ACCESS_KEY.includes('your_')) {
-    console.log('⚠️  Warning: UNSPLASH_ACCESS_KEY not configured');
+  // Check which providers are configured
+  const providers = getProviders({ configuredOnly: false });
+  const missing = providers.filter(p => !p.isConfigured()).map(p => p.name);
+  
+  if (missing.length === providers.length) {
+    console.log('⚠️  Warning: no image provider API keys configured');
     console.log('   Copy .env.example to .env and add your API keys\n');
+  } else if (missing.length > 0) {
+    console.log(`ℹ️  Providers not configured (skipped): ${missing.join(', ')}\n`);
   }
   
-  if (!process.env.PEXELS_API_KEY || process.env.PEXELS_API_KEY.includes('your_')) {
-    console.log('⚠️  Warning: PEXELS_API_KEY not configured\n');
+  if (!process.env.CLIENT_HASH_SECRET) {
+    console.log('⚠️  Warning: CLIENT_HASH_SECRET not set, client hashes reset on every restart\n');
   }
 });
 
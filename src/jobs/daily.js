@@ -0,0 +1,121 @@
+import {
+  getDailyCandidates,
+  getDailyWallpaperIdsSince,
+  getDailyWallpaper,
+  saveDailyWallpaper
+} from '../services/database.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recency halves a wallpaper's pull every this many days since it was added
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+// Draws in progress by date, so concurrent requests share one
+const pending = new Map();
+
+/**
+ * UTC day of a date, YYYY-MM-DD
+ */
+export function utcDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * How strongly a wallpaper pulls in the daily draw
+ * Quality (downloads, resolution, placeholders ready) weighs 60%, recency 40%
+ */
+function dailyWeight(wallpaper, now) {
+  const popularity = Math.min(Math.log10((wallpaper.downloads || 0) + 1) / 3, 1);
+  const resolution = wallpaper.width && wallpaper.height
+    ? Math.min((wallpaper.width * wallpaper.height) / 8e6, 1)
+    : 0;
+  const placeholders = wallpaper.blur_hash && wallpaper.lqip ? 1 : 0;
+  const quality = 0.5 * popularity + 0.35 * resolution + 0.15 * placeholders;
+
+  const ageDays = Math.max(0, (now - new Date(wallpaper.created_at)) / DAY_MS);
+  const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+
+  return 0.6 * quality + 0.4 * recency;
+}
+
+/**
+ * Draw one wallpaper, each with a chance proportional to its weight
+ */
+function drawWeighted(candidates, now) {
+  const weighted = candidates.map(wallpaper => ({ wallpaper, weight: dailyWeight(wallpaper, now) }));
+  const total = weighted.reduce((sum, c) => sum + c.weight, 0);
+
+  let roll = Math.random() * total;
+  for (const candidate of weighted) {
+    roll -= candidate.weight;
+    if (roll <= 0) return candidate;
+  }
+  return weighted[weighted.length - 1];
+}
+
+/**
+ * Pick a new wallpaper of the day and store it
+ * Wallpapers picked in the last DAILY_NO_REPEAT_DAYS days are left out,
+ * unless nothing else is left.
+ */
+async function pickFor(date, replaces) {
+  const noRepeatDays = parseInt(process.env.DAILY_NO_REPEAT_DAYS) || 90;
+  const since = utcDate(new Date(Date.parse(date) - noRepeatDays * DAY_MS));
+  const recent = await getDailyWallpaperIdsSince(since);
+
+  let candidates = await getDailyCandidates({ excludeIds: recent });
+  if (candidates.length === 0) {
+    candidates = await getDailyCandidates({ excludeIds: replaces ? [replaces] : [] });
+  }
+  if (candidates.length === 0) {
+    console.log(`⚠️ No wallpaper to pick for ${date}`);
+    return null;
+  }
+
+  const { wallpaper, weight } = drawWeighted(candidates, Date.now());
+  const score = Math.round(weight * 1000) / 1000;
+  await saveDailyWallpaper(date, wallpaper._id, score, { replaces });
+
+  const pick = await getDailyWallpaper(date);
+  console.log(`🌅 Wallpaper of the day for ${date}: ${pick.wallpaper_id}${replaces ? ` (replaces ${replaces})` : ''}`);
+  return pick;
+}
+
+/**
+ * Get the wallpaper of the day, picking it first if needed
+ * Called by the API, so a day missed while the server was down, or a pick
+ * taken down by moderators, is filled in on demand.
+ * @param {Object} options - Pick options
+ * @param {string} options.date - UTC date, YYYY-MM-DD (default today)
+ * @returns {Promise<Object | null>} The pick with its `wallpaper`, or null if there are no wallpapers
+ */
+export async function pickDailyWallpaper({ date = utcDate() } = {}) {
+  const current = await getDailyWallpaper(date);
+  if (current?.wallpaper) return current;
+
+  if (!pending.has(date)) {
+    pending.set(date, pickFor(date, current?.wallpaper_id || null).finally(() => {
+      pending.delete(date);
+    }));
+  }
+  return pending.get(date);
+}
+
+/**
+ * Make sure today's wallpaper of the day is picked
+ * Scheduled at midnight UTC and run on startup from index.js
+ */
+export async function refreshDailyWallpaper() {
+  try {
+    return await pickDailyWallpaper();
+  } catch (error) {
+    console.error('❌ Failed to pick the wallpaper of the day:', error.message);
+    return null;
+  }
+}
+
+export default {
+  utcDate,
+  pickDailyWallpaper,
+  refreshDailyWallpaper
+};
@@ -1,142 +1,569 @@
-import { getCategories } from '../services/database.js';
-import unsplash from '../services/unsplash.js';
-import pexels from '../services/pexels.js';
-import { insertWallpapers, wallpaperExists, updateCategoryCounts } from '../services/database.js';
+/**
+ * Ingestion engine
+ * The single pipeline that fetches wallpapers from the provider registry, used
+ * by the scheduled fetch, the startup/admin seed and new-category fetches.
+ *
+ * Per category (see Category.ingestion, with env defaults):
+ * - strategy: how providers share the page slots (fallback, round-robin, weighted)
+ * - page_depth: page slots fetched per category/orientation each run
+ * - batch_sizes: wallpapers per request, per provider
+ * - weights: provider weights for the weighted strategy
+ */
+
+import mongoose from 'mongoose';
+import { INGEST_STRATEGIES, MAX_PAGE_DEPTH } from '../models/Category.js';
+import { getProvider, getProviders } from '../services/providers.js';
+import { getAllowance, getAvailable, isPaused, getResumeTime } from '../services/quota.js';
+import { acquireLock, renewLock, releaseLock, getActiveLock } from '../services/jobLock.js';
+import { fetchPlaceholdersBatch, needsPlaceholders } from '../services/placeholders.js';
+import { detectDuplicates } from '../services/duplicates.js';
+import { deriveTags, matchCategory } from '../services/tags.js';
+import {
+  getCategories,
+  insertWallpapers,
+  addWallpapersToCategory,
+  getExistingWallpaperIds,
+  updateCategoryCounts,
+  getFetchCursor,
+  advanceFetchCursor,
+  startJobRun,
+  addJobRunResult,
+  finishJobRun,
+  featureCuratedWallpapers
+} from '../services/database.js';
+
+// Only one ingestion run at a time, cluster-wide
+const INGESTION_LOCK = 'ingestion';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_RENEW_MS = 2 * 60 * 1000;
+
+// Wallpapers per provider request unless configured otherwise
+const DEFAULT_BATCH_SIZE = 20;
+
+// Wallpapers with fewer provider tags than this get a detail call (when enabled)
+const MIN_PROVIDER_TAGS = 3;
+
+// Longest we'll wait mid-run for a paused provider's window to reset
+const MAX_QUOTA_WAIT_MS = 2 * 60 * 1000;
 
 /**
- * Fetch wallpapers for a specific category
- * @param {Object} category - Category object with slug and search_query
- * @param {number} perPage - Number of wallpapers to fetch
+ * When every provider is paused, wait for the first reset if it is close
+ * @returns {Promise<boolean>} false if nothing will be available soon
  */
-async function fetchCategoryWallpapers(category, perPage = 30) {
-  console.log(`\n📷 Fetching wallpapers for: ${category.name}`);
+async function waitForQuota() {
+  const names = getProviders().map(p => p.name);
+  if (names.length === 0 || !names.every(name => isPaused(name))) {
+    return true;
+  }
   
-  let wallpapers = [];
+  const resumeAt = getResumeTime(names);
+  const waitMs = resumeAt ? resumeAt - Date.now() : Infinity;
+  if (waitMs > MAX_QUOTA_WAIT_MS) {
+    return false;
+  }
   
-  try {
-    // Try Unsplash first (primary source)
-    wallpapers = await unsplash.searchPhotos(
-      category.search_query,
-      category.slug,
-      1,
-      perPage
-    );
-    console.log(`  ✅ Got ${wallpapers.length} from Unsplash`);
-  } catch (error) {
-    console.log(`  ⚠️ Unsplash failed, trying Pexels...`);
+  console.log(`⏳ All providers paused, waiting ${Math.ceil(waitMs / 1000)}s for quota reset`);
+  await new Promise(resolve => setTimeout(resolve, Math.max(waitMs, 0)));
+  return true;
+}
+
+/**
+ * Resolve a category's ingestion settings, falling back to env defaults
+ * @param {Object} category - Category with optional `ingestion` overrides
+ * @returns {{ strategy: string, pageDepth: number, batchSize: Function, weight: Function }}
+ */
+export function resolveIngestionConfig(category) {
+  const config = category.ingestion || {};
+  // Maps on documents, plain objects on lean results
+  const lookup = (map, key) => (map instanceof Map ? map.get(key) : map?.[key]);
+  
+  const envStrategy = process.env.INGEST_STRATEGY;
+  const envDepth = parseInt(process.env.INGEST_PAGE_DEPTH);
+  const envBatch = parseInt(process.env.INGEST_BATCH_SIZE);
+  
+  const strategy = config.strategy ||
+    (INGEST_STRATEGIES.includes(envStrategy) ? envStrategy : 'fallback');
+  const pageDepth = config.page_depth ||
+    (envDepth > 0 ? Math.min(envDepth, MAX_PAGE_DEPTH) : 1);
+  const defaultBatch = envBatch > 0 ? envBatch : DEFAULT_BATCH_SIZE;
+  
+  return {
+    strategy,
+    pageDepth,
+    batchSize: provider => Math.min(lookup(config.batch_sizes, provider.name) || defaultBatch, provider.maxPerPage),
+    weight: provider => lookup(config.weights, provider.name) ?? 1
+  };
+}
+
+/**
+ * Order providers for each page slot of one category/orientation fetch
+ * The first provider in a slot's list is preferred; the rest are fallbacks
+ * when it fails, is out of quota or has no more results.
+ * - fallback: always priority order
+ * - round-robin: rotate the priority order by slot (and by `offset` across units)
+ * - weighted: smooth weighted round-robin picks the preferred provider;
+ *   providers with weight 0 are left out entirely
+ * @param {string} strategy - 'fallback', 'round-robin' or 'weighted'
+ * @param {Object[]} providers - Providers in priority order
+ * @param {number} pageDepth - Number of slots
+ * @param {Function} weight - provider => weight
+ * @param {number} offset - Rotation offset for round-robin
+ * @returns {Object[][]} One ordered provider list per slot
+ */
+export function planSlots(strategy, providers, pageDepth, weight, offset = 0) {
+  const slots = [];
+  
+  if (strategy === 'weighted') {
+    const weighted = providers.filter(p => weight(p) > 0);
+    const total = weighted.reduce((sum, p) => sum + weight(p), 0);
+    const current = new Map(weighted.map(p => [p.name, 0]));
+    
+    for (let i = 0; i < pageDepth; i++) {
+      let best = null;
+      for (const p of weighted) {
+        current.set(p.name, current.get(p.name) + weight(p));
+        if (!best || current.get(p.name) > current.get(best.name)) {
+          best = p;
+        }
+      }
+      if (!best) break;
+      current.set(best.name, current.get(best.name) - total);
+      slots.push([best, ...weighted.filter(p => p !== best)]);
+    }
+    return slots;
+  }
+  
+  for (let i = 0; i < pageDepth; i++) {
+    if (strategy === 'round-robin' && providers.length > 0) {
+      const start = (offset + i) % providers.length;
+      slots.push([...providers.slice(start), ...providers.slice(0, start)]);
+    } else {
+      slots.push(providers);
+    }
+  }
+  return slots;
+}
+
+/**
+ * Fetch one page slot: the next page from the first usable provider
+ * Usable means it has quota allowance and its cursor isn't exhausted.
+ * @returns {Promise<{ provider, page, wallpapers, error }>}
+ */
+async function fetchSlot(category, orientation, candidates, config, slotsLeft) {
+  let lastError = null;
+  
+  for (const provider of candidates) {
+    if (getAllowance(provider.name, slotsLeft) < 1) {
+      console.log(`  ⏭️ Skipping ${provider.name} (saving quota)`);
+      continue;
+    }
+    
+    const cursor = await getFetchCursor(category.slug, provider.name, orientation);
+    if (cursor.exhausted) {
+      continue;
+    }
+    
+    const pageSize = config.batchSize(provider);
     
     try {
-      // Fallback to Pexels
-      wallpapers = await pexels.searchPhotos(
+      const wallpapers = await provider.searchPhotos(
         category.search_query,
         category.slug,
-        1,
-        perPage
+        cursor.page,
+        pageSize,
+        orientation
       );
-      console.log(`  ✅ Got ${wallpapers.length} from Pexels`);
-    } catch (pexelsError) {
-      console.error(`  ❌ Both APIs failed for ${category.name}`);
-      return 0;
+      console.log(`  ✅ Got ${wallpapers.length} from ${provider.name} (page ${cursor.page})`);
+      
+      // A short page means we've reached the end of the results
+      await advanceFetchCursor(category.slug, provider.name, orientation, cursor.page, wallpapers.length < pageSize);
+      
+      return { provider: provider.name, page: cursor.page, wallpapers };
+    } catch (error) {
+      console.log(`  ⚠️ ${provider.name} failed, trying next provider...`);
+      lastError = `${provider.name}: ${error.message}`;
     }
   }
   
-  // Filter out existing wallpapers (Async check)
-  const newWallpapers = [];
-  for (const w of wallpapers) {
-    const exists = await wallpaperExists(w.external_id, w.source);
-    if (!exists) {
-      newWallpapers.push(w);
+  return { provider: null, page: null, wallpapers: null, error: lastError || 'No provider available' };
+}
+
+/**
+ * Fetch full tag lists for sparsely tagged wallpapers from the provider's detail endpoint
+ * Limited to TAG_DETAIL_CALLS per page (default 0, off) and to spare quota
+ * @param {Object[]} wallpapers - New wallpapers from one provider
+ * @param {Object} provider - Provider module
+ */
+async function fetchDetailTags(wallpapers, provider) {
+  const maxCalls = parseInt(process.env.TAG_DETAIL_CALLS) || 0;
+  if (!provider?.detailTags || maxCalls <= 0) return;
+  
+  const sparse = wallpapers.filter(w => deriveTags({ tags: w.tags }).length < MIN_PROVIDER_TAGS);
+  
+  for (const wallpaper of sparse.slice(0, maxCalls)) {
+    if (getAvailable(provider.name) <= 0) break;
+    
+    try {
+      const detail = await provider.getPhotoById(wallpaper.external_id);
+      wallpaper.tags = detail.tags;
+    } catch (error) {
+      console.log(`  ⚠️ ${provider.name} detail call failed for ${wallpaper.id}`);
     }
   }
+}
+
+/**
+ * Save the wallpapers we don't have yet, with derived tags and placeholders
+ * A wallpaper whose image can't be processed is saved without placeholders
+ * and picked up later by the placeholder backfill. New wallpapers that
+ * duplicate one we have (same image from another provider) are saved listed
+ * and queued in a duplicate cluster; they are only hidden once an admin
+ * merges it, or right away if the original was taken down.
+ * Wallpapers we already have are added to the category they were found under.
+ * New wallpapers found outside a category go under the category their tags
+ * match best, or stay uncategorized.
+ * @param {Object[]} wallpapers - Normalized provider results
+ * @param {Object} context - Where they came from
+ * @param {Object} context.category - Category (for its keywords), if any
+ * @param {Object[]} context.categories - Categories to match uncategorized wallpapers against
+ * @param {Object} context.provider - Provider module (for detail calls), if any
+ * @returns {Promise<number>} Number saved
+ */
+async function saveNewWallpapers(wallpapers, { category = null, categories = [], provider = null } = {}) {
+  const existing = await getExistingWallpaperIds(wallpapers.map(w => w.id));
+  const newWallpapers = wallpapers.filter(w => !existing.has(w.id));
+  
+  // Images we already have join this category too
+  if (category && existing.size > 0) {
+    await addWallpapersToCategory([...existing], category.slug);
+  }
   
   if (newWallpapers.length > 0) {
+    await fetchDetailTags(newWallpapers, provider);
+    for (const wallpaper of newWallpapers) {
+      const home = category || matchCategory(deriveTags(wallpaper), categories);
+      if (!category && home) {
+        wallpaper.category = home.slug;
+      }
+      wallpaper.tags = deriveTags(wallpaper, home);
+      wallpaper.tags_derived = true;
+    }
+    
+    const results = await fetchPlaceholdersBatch(newWallpapers.filter(needsPlaceholders));
+    for (const { wallpaper, placeholders } of results) {
+      Object.assign(wallpaper, placeholders);
+    }
+    
     await insertWallpapers(newWallpapers);
-    console.log(`  💾 Saved ${newWallpapers.length} new wallpapers`);
-  } else {
-    console.log(`  ℹ️ No new wallpapers to save`);
+    await detectDuplicates(newWallpapers.map(w => ({ _id: w.id, phash: w.phash })));
   }
   
   return newWallpapers.length;
 }
 
+/**
+ * Fetch one category in one orientation according to its ingestion config
+ * @param {Object} category - Category object with slug, search_query and ingestion settings
+ * @param {string} orientation - 'portrait', 'landscape' or 'square'
+ * @param {Object} context - Run context
+ * @param {Object} context.runId - Job run to record results on
+ * @param {number} context.slotsLeft - Page slots left in the run, for quota spreading
+ * @param {number} context.offset - Round-robin rotation for this unit
+ * @param {AbortSignal} context.signal - Aborted when the run loses its lock
+ * @returns {Promise<number>} Number of new wallpapers
+ */
+async function fetchCategoryWallpapers(category, orientation, { runId, slotsLeft, offset, signal = null }) {
+  const config = resolveIngestionConfig(category);
+  const slots = planSlots(config.strategy, getProviders(), config.pageDepth, config.weight, offset);
+  
+  console.log(`\n📷 Fetching ${orientation} wallpapers for: ${category.name} (${config.strategy}, ${slots.length} page(s))`);
+  
+  let totalNew = 0;
+  
+  for (const [i, candidates] of slots.entries()) {
+    signal?.throwIfAborted();
+    const result = { category: category.slug, orientation, fetched: 0, saved: 0 };
+    
+    try {
+      const slot = await fetchSlot(category, orientation, candidates, config, slotsLeft - i);
+      Object.assign(result, { provider: slot.provider, page: slot.page });
+      
+      if (slot.wallpapers) {
+        result.fetched = slot.wallpapers.length;
+        result.saved = await saveNewWallpapers(slot.wallpapers, {
+          category,
+          provider: getProvider(slot.provider)
+        });
+        console.log(`  💾 Saved ${result.saved} new wallpapers`);
+      } else {
+        result.error = slot.error;
+        console.error(`  ❌ No provider could fetch page ${i + 1} for ${category.name}`);
+      }
+    } catch (error) {
+      console.error(`❌ Error fetching ${category.name} (${orientation}):`, error.message);
+      result.error = error.message;
+    }
+    
+    totalNew += result.saved;
+    await addJobRunResult(runId, result);
+  }
+  
+  return totalNew;
+}
+
+/**
+ * Start an ingestion run under the cluster-wide lock
+ * Only one run executes at a time across all instances and within this one;
+ * the lease is renewed while the task runs and expires on its own if this
+ * process dies. If a renewal finds the lease gone, the task's signal is
+ * aborted and the run stops at its next page.
+ * @param {string} job - Job name recorded on the run ('fetch', 'curated' or 'seed')
+ * @param {string} trigger - What started it (cron, startup, admin, category)
+ * @param {Function} task - async (runId, signal) => number of new wallpapers
+ * @returns {Promise<{ started: boolean, runId: Object, done?: Promise<number> }>}
+ *   When another run holds the lock, started is false and runId is that run's ID
+ */
+export async function startIngestion(job, trigger, task) {
+  const runId = new mongoose.Types.ObjectId();
+  const lock = await acquireLock(INGESTION_LOCK, { ttlMs: LOCK_TTL_MS, runId });
+  
+  if (!lock) {
+    const active = await getActiveLock(INGESTION_LOCK);
+    console.log(`🔒 Ingestion already running (run ${active?.run_id}), skipping ${trigger} ${job}`);
+    return { started: false, runId: active?.run_id || null };
+  }
+  
+  try {
+    await startJobRun(job, trigger, runId);
+  } catch (error) {
+    await releaseLock(INGESTION_LOCK, runId);
+    throw error;
+  }
+  
+  const lease = new AbortController();
+  const heartbeat = setInterval(() => {
+    renewLock(INGESTION_LOCK, LOCK_TTL_MS, runId)
+      .then(held => {
+        if (!held) {
+          console.error(`⚠️ Lost the ingestion lock, stopping ${job} run ${runId}`);
+          clearInterval(heartbeat);
+          lease.abort(new Error('Ingestion lock lost'));
+        }
+      })
+      .catch(error => {
+        console.error('⚠️ Failed to renew ingestion lock:', error.message);
+      });
+  }, LOCK_RENEW_MS);
+  heartbeat.unref();
+  
+  const done = (async () => {
+    try {
+      const totalNew = await task(runId, lease.signal);
+      await finishJobRun(runId);
+      return totalNew;
+    } catch (error) {
+      console.error(`❌ ${job} job failed:`, error.message);
+      await finishJobRun(runId, { status: 'failed', error: error.message }).catch(() => {});
+      return 0;
+    } finally {
+      clearInterval(heartbeat);
+      // If this fails the lease simply expires
+      await releaseLock(INGESTION_LOCK, runId).catch(error => {
+        console.error('⚠️ Failed to release ingestion lock:', error.message);
+      });
+    }
+  })();
+  
+  return { started: true, runId, done };
+}
+
 /**
  * Fetch wallpapers for all categories
  * This is the main cron job function
+ * @param {Object} options - Run options
+ * @param {string[]} options.orientations - Override each category's configured orientations for this run
+ * @param {string} options.trigger - What started the run (cron, startup, admin), for the job history
+ * @returns {Promise<number>} New wallpapers (0 if another run was in progress)
  */
-export async function fetchAllCategoryWallpapers() {
+export async function fetchAllCategoryWallpapers({ orientations = null, trigger = 'cron' } = {}) {
   console.log('\n🚀 Starting wallpaper fetch job...');
   console.log(`⏰ Time: ${new Date().toISOString()}`);
   
-  const categories = await getCategories();
+  const { started, done } = await startIngestion('fetch', trigger, async (runId, signal) => {
+    const categories = await getCategories();
+    return runCategoryFetches(runId, categories, orientations, signal);
+  });
+  
+  if (!started) return 0;
+  
+  const totalNew = await done;
+  console.log(`\n✅ Fetch job complete! Added ${totalNew} new wallpapers.`);
+  return totalNew;
+}
+
+/**
+ * Fetch every category/orientation, recording each page on the run
+ * @param {Object} runId - Job run ID
+ * @param {Object[]} categories - Categories to fetch
+ * @param {string[]} orientations - Optional override of each category's orientations
+ * @param {AbortSignal} signal - Aborted when the run loses its lock
+ */
+async function runCategoryFetches(runId, categories, orientations = null, signal = null) {
   let totalNew = 0;
   
-  for (const category of categories) {
-    try {
-      const count = await fetchCategoryWallpapers(category, 20);
-      totalNew += count;
-      
-      // Small delay between categories to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
-    } catch (error) {
-      console.error(`❌ Error fetching ${category.name}:`, error.message);
+  // One unit per category/orientation; provider budgets are spread over all their page slots
+  const units = categories.flatMap(category =>
+    (orientations || category.orientations || ['portrait']).map(orientation => ({ category, orientation }))
+  );
+  let slotsLeft = units.reduce((sum, { category }) => sum + resolveIngestionConfig(category).pageDepth, 0);
+  
+  for (const [i, { category, orientation }] of units.entries()) {
+    if (!await waitForQuota()) {
+      console.log(`⏹️ Provider quotas exhausted, stopping with ${units.length - i} fetches left`);
+      break;
     }
+    
+    totalNew += await fetchCategoryWallpapers(category, orientation, { runId, slotsLeft, offset: i, signal });
+    slotsLeft -= resolveIngestionConfig(category).pageDepth;
   }
   
   // Update category counts
   await updateCategoryCounts();
   
-  console.log(`\n✅ Fetch job complete! Added ${totalNew} new wallpapers.`);
   return totalNew;
 }
 
 /**
- * Fetch featured/popular wallpapers (no category filter)
+ * Fetch wallpapers for a single category in all of its orientations
+ * Used when an admin creates a category and wants content right away
+ * @param {Object} category - Category object with slug, search_query and orientations
+ * @returns {Promise<{ started: boolean, runId: Object, done?: Promise<number> }>} See startIngestion
+ */
+export async function fetchWallpapersForCategory(category) {
+  return startIngestion('fetch', 'category', (runId, signal) => runCategoryFetches(runId, [category], null, signal));
+}
+
+/**
+ * Curated feed settings from env
+ * @returns {{ providers: Object[], pages: number, featureDays: number }}
  */
-export async function fetchFeaturedWallpapers() {
-  console.log('\n⭐ Fetching featured wallpapers...');
+function resolveCuratedConfig() {
+  const names = (process.env.CURATED_PROVIDERS || 'pexels,unsplash')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
   
-  try {
-    const wallpapers = await unsplash.getPopularPhotos('featured', 1, 30);
-    
-    // Mark as featured
-    const candidates = wallpapers.map(w => ({ ...w, is_featured: true }));
-    
-    // Async filter duplicates
-    const newWallpapers = [];
-    for (const w of candidates) {
-      const exists = await wallpaperExists(w.external_id, w.source);
-      if (!exists) {
-        newWallpapers.push(w);
+  return {
+    providers: getProviders().filter(p => names.includes(p.name)),
+    pages: Math.min(Math.max(parseInt(process.env.CURATED_PAGES) || 1, 1), MAX_PAGE_DEPTH),
+    featureDays: parseFloat(process.env.CURATED_FEATURE_DAYS) || 7
+  };
+}
+
+/**
+ * Fetch the providers' curated/popular feeds (Pexels curated, Unsplash popular)
+ * and feature what they return for CURATED_FEATURE_DAYS. Every page is
+ * fetched from every curated provider, each recorded on the run.
+ * @param {Object} runId - Job run to record results on
+ * @param {AbortSignal} signal - Aborted when the run loses its lock
+ * @returns {Promise<number>} Number of new wallpapers
+ */
+async function fetchCuratedWallpapers(runId, signal = null) {
+  const { providers, pages, featureDays } = resolveCuratedConfig();
+  const until = new Date(Date.now() + featureDays * 24 * 60 * 60 * 1000);
+  // Curated feeds aren't about any one category, so new wallpapers are matched to one by their tags
+  const categories = await getCategories();
+  
+  console.log(`\n⭐ Fetching curated wallpapers from ${providers.map(p => p.name).join(', ') || 'no providers'}...`);
+  
+  let totalNew = 0;
+  let slotsLeft = providers.length * pages;
+  
+  for (const provider of providers) {
+    for (let page = 1; page <= pages; page++, slotsLeft--) {
+      signal?.throwIfAborted();
+      const result = { provider: provider.name, page, fetched: 0, saved: 0 };
+      
+      if (getAllowance(provider.name, slotsLeft) < 1) {
+        console.log(`  ⏭️ Skipping ${provider.name} (saving quota)`);
+        result.error = `${provider.name}: skipped to save quota`;
+        await addJobRunResult(runId, result);
+        continue;
       }
+      
+      try {
+        const wallpapers = await provider.getCuratedPhotos(
+          null,
+          page,
+          Math.min(DEFAULT_BATCH_SIZE, provider.maxPerPage)
+        );
+        result.fetched = wallpapers.length;
+        result.saved = await saveNewWallpapers(wallpapers, { categories, provider });
+        
+        const featured = await featureCuratedWallpapers(wallpapers.map(w => w.id), until);
+        console.log(`  ✅ ${provider.name} page ${page}: ${result.saved} new, ${featured} featured`);
+      } catch (error) {
+        console.error(`  ❌ ${provider.name} curated page ${page} failed:`, error.message);
+        result.error = `${provider.name}: ${error.message}`;
+      }
+      
+      totalNew += result.saved;
+      await addJobRunResult(runId, result);
     }
+  }
+  
+  return totalNew;
+}
+
+/**
+ * Refresh the featured feed from the providers' curated feeds
+ * Scheduled from index.js and triggered from POST /api/admin/featured/refresh
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run (cron, admin)
+ * @returns {Promise<{ started: boolean, runId: Object, done?: Promise<number> }>} See startIngestion
+ */
+export async function startCuratedFetch({ trigger = 'cron' } = {}) {
+  return startIngestion('curated', trigger, fetchCuratedWallpapers);
+}
+
+/**
+ * Start a seed run (curated feeds + all categories) without waiting for it
+ * @param {Object} options - Run options
+ * @param {string[]} options.orientations - Override each category's configured orientations
+ * @param {string} options.trigger - What started the run
+ * @returns {Promise<{ started: boolean, runId: Object, done?: Promise<number> }>} See startIngestion
+ */
+export async function startSeed({ orientations = null, trigger = 'admin' } = {}) {
+  return startIngestion('seed', trigger, async (runId, signal) => {
+    console.log('\n🌱 Seeding database with initial wallpapers...\n');
     
-    if (newWallpapers.length > 0) {
-      await insertWallpapers(newWallpapers);
-      console.log(`💾 Saved ${newWallpapers.length} featured wallpapers`);
-    }
+    const featured = await fetchCuratedWallpapers(runId, signal);
+    const categories = await getCategories();
+    const totalNew = featured + await runCategoryFetches(runId, categories, orientations, signal);
     
-    return newWallpapers.length;
-  } catch (error) {
-    console.error('❌ Failed to fetch featured:', error.message);
-    return 0;
-  }
+    console.log('\n🎉 Database seeding complete!');
+    return totalNew;
+  });
 }
 
 /**
- * Initial seed: fetch wallpapers for all categories + featured
+ * Initial seed: fetch wallpapers for all categories + curated feeds
+ * @param {Object} options - Passed through to startSeed (orientations, trigger)
+ * @returns {Promise<number>} New wallpapers (0 if another run was in progress)
  */
-export async function seedDatabase() {
-  console.log('\n🌱 Seeding database with initial wallpapers...\n');
-  
-  await fetchFeaturedWallpapers();
-  await fetchAllCategoryWallpapers();
-  
-  console.log('\n🎉 Database seeding complete!');
+export async function seedDatabase(options = {}) {
+  const { started, done } = await startSeed(options);
+  return started ? done : 0;
 }
 
 export default {
+  resolveIngestionConfig,
+  planSlots,
+  startIngestion,
+  startSeed,
   fetchAllCategoryWallpapers,
-  fetchFeaturedWallpapers,
+  fetchWallpapersForCategory,
+  startCuratedFetch,
   seedDatabase
 };
 
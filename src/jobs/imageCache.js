@@ -0,0 +1,25 @@
+import { pruneImageCache } from '../services/imageCache.js';
+
+/**
+ * Keep the image cache under IMAGE_CACHE_MAX_MB, evicting the least recently served wallpapers
+ * Scheduled hourly from index.js
+ */
+export async function pruneCachedImages() {
+  const maxMb = parseFloat(process.env.IMAGE_CACHE_MAX_MB) || 2048;
+  
+  try {
+    const { removed, freedBytes, totalBytes } = await pruneImageCache({ maxBytes: maxMb * 1024 * 1024 });
+    if (removed > 0) {
+      const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+      console.log(`🧹 Image cache pruned: ${removed} wallpapers, ${mb(freedBytes)} MB freed, ${mb(totalBytes)} MB kept`);
+    }
+    return removed;
+  } catch (error) {
+    console.error('❌ Failed to prune image cache:', error.message);
+    return 0;
+  }
+}
+
+export default {
+  pruneCachedImages
+};
@@ -0,0 +1,58 @@
+import { getWallpapersMissingPlaceholders, saveWallpaperPlaceholders } from '../services/database.js';
+import { fetchPlaceholdersBatch } from '../services/placeholders.js';
+import { detectDuplicates } from '../services/duplicates.js';
+
+const BATCH_SIZE = 50;
+
+let running = false;
+
+/**
+ * Compute BlurHash/LQIP placeholders and perceptual hashes for wallpapers saved without them
+ * Scheduled from index.js; new wallpapers normally get theirs at ingest
+ * @param {Object} options - Run options
+ * @param {number} options.limit - Max wallpapers to process this run
+ * @returns {Promise<number>} Wallpapers that got placeholders
+ */
+export async function backfillPlaceholders({ limit = parseInt(process.env.PLACEHOLDER_BACKFILL_LIMIT) || 500 } = {}) {
+  if (running) {
+    console.log('⏭️ Placeholder backfill already running, skipping');
+    return 0;
+  }
+
+  running = true;
+  const started = Date.now();
+  let done = 0;
+  let failed = 0;
+
+  try {
+    while (done + failed < limit) {
+      const wallpapers = await getWallpapersMissingPlaceholders(Math.min(BATCH_SIZE, limit - done - failed));
+      if (wallpapers.length === 0) break;
+
+      const results = await fetchPlaceholdersBatch(wallpapers);
+      await saveWallpaperPlaceholders(results);
+
+      // Wallpapers hashed for the first time are checked against the rest
+      await detectDuplicates(results
+        .filter(r => r.placeholders && !r.wallpaper.phash)
+        .map(r => ({ _id: r.wallpaper._id, phash: r.placeholders.phash })));
+
+      done += results.filter(r => r.placeholders).length;
+      failed += results.filter(r => r.error).length;
+    }
+
+    if (done + failed > 0) {
+      console.log(`🌫️ Placeholders backfilled: ${done} wallpapers (${failed} failed) in ${Date.now() - started}ms`);
+    }
+    return done;
+  } catch (error) {
+    console.error('❌ Placeholder backfill failed:', error.message);
+    return done;
+  } finally {
+    running = false;
+  }
+}
+
+export default {
+  backfillPlaceholders
+};
@@ -0,0 +1,25 @@
+import { updateTrendingScores } from '../services/database.js';
+
+/**
+ * Refresh time-decayed trending scores
+ * Scheduled hourly from index.js
+ */
+export async function refreshTrendingScores() {
+  const started = Date.now();
+  
+  try {
+    const count = await updateTrendingScores({
+      halfLifeHours: parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 24,
+      windowDays: parseFloat(process.env.TRENDING_WINDOW_DAYS) || 14
+    });
+    console.log(`📈 Trending scores refreshed: ${count} wallpapers in ${Date.now() - started}ms`);
+    return count;
+  } catch (error) {
+    console.error('❌ Failed to refresh trending scores:', error.message);
+    return 0;
+  }
+}
+
+export default {
+  refreshTrendingScores
+};
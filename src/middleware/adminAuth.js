@@ -0,0 +1,68 @@
+import { verifyAdminToken, hasScope } from '../services/adminKeys.js';
+
+/**
+ * Read the admin token from `Authorization: Bearer <token>` or `X-API-Key`
+ */
+function readToken(req) {
+  const header = req.get('authorization') || '';
+  if (header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Resolve the admin key for a request, verifying it at most once
+ * Cached on req.adminKey (null when missing or invalid)
+ */
+export async function resolveAdminKey(req) {
+  if (req.adminKey === undefined) {
+    const token = readToken(req);
+    req.adminKey = token ? await verifyAdminToken(token) : null;
+  }
+  return req.adminKey;
+}
+
+/**
+ * Authenticate an admin API key
+ * Sets req.adminKey on success, responds 401 otherwise
+ */
+export async function authenticateAdmin(req, res, next) {
+  try {
+    const key = await resolveAdminKey(req);
+    
+    if (!key) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid or missing admin API key' 
+      });
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a scope on the authenticated admin key
+ * Must run after authenticateAdmin
+ * @param {string} scope - Scope name (see ADMIN_SCOPES)
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.adminKey || !hasScope(req.adminKey, scope)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: `Admin key lacks the "${scope}" scope` 
+      });
+    }
+    next();
+  };
+}
+
+export default {
+  resolveAdminKey,
+  authenticateAdmin,
+  requireScope
+};
@@ -0,0 +1,133 @@
+import { resolveAdminKey } from './adminAuth.js';
+
+/**
+ * Token-bucket rate limiting
+ * Each client gets a bucket per route group, identified by its API key when it
+ * sends a valid one and by IP otherwise. Buckets live in process memory, so
+ * with several instances each enforces its own share of the limit.
+ *
+ * Limits are "<requests>/<seconds>" and can be overridden with env vars,
+ * e.g. RATE_LIMIT_LISTING_IP=120/60 or RATE_LIMIT_ADMIN_KEY=300/60.
+ */
+
+const DEFAULT_LIMITS = {
+  listing: { ip: '120/60', key: '600/60' },
+  images: { ip: '600/60', key: '3000/60' },
+  download: { ip: '20/60', key: '120/60' },
+  report: { ip: '10/3600', key: '100/3600' },
+  admin: { ip: '30/60', key: '300/60' }
+};
+
+// Drop idle buckets (they would be full again anyway)
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+const buckets = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, bucket] of buckets) {
+    if (now >= bucket.fullAt) {
+      buckets.delete(id);
+    }
+  }
+}, PRUNE_INTERVAL_MS).unref();
+
+/**
+ * Parse a "<requests>/<seconds>" limit
+ * @returns {{ capacity: number, windowSeconds: number } | null}
+ */
+export function parseLimit(value) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match || parseInt(match[1]) === 0 || parseInt(match[2]) === 0) return null;
+  return { capacity: parseInt(match[1]), windowSeconds: parseInt(match[2]) };
+}
+
+/**
+ * Resolve the configured limit for a group and identity type
+ * @param {string} group - 'listing', 'images', 'download', 'report' or 'admin'
+ * @param {string} type - 'ip' or 'key'
+ */
+function getLimit(group, type) {
+  const override = process.env[`RATE_LIMIT_${group.toUpperCase()}_${type.toUpperCase()}`];
+  return parseLimit(override) || parseLimit(DEFAULT_LIMITS[group][type]);
+}
+
+/**
+ * Take one token from a bucket
+ * Tokens refill continuously at capacity / window
+ * @returns {{ allowed: boolean, remaining: number, resetSeconds: number, retryAfterSeconds: number }}
+ */
+export function consume(id, { capacity, windowSeconds }, now = Date.now()) {
+  const refillPerMs = capacity / (windowSeconds * 1000);
+  const bucket = buckets.get(id) || { tokens: capacity, updatedAt: now };
+  
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  
+  const allowed = bucket.tokens >= 1;
+  if (allowed) {
+    bucket.tokens -= 1;
+  }
+  
+  bucket.fullAt = now + (capacity - bucket.tokens) / refillPerMs;
+  buckets.set(id, bucket);
+  
+  return {
+    allowed,
+    remaining: Math.floor(bucket.tokens),
+    resetSeconds: Math.ceil((capacity - bucket.tokens) / refillPerMs / 1000),
+    retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000)
+  };
+}
+
+/**
+ * Create rate limiting middleware for a route group
+ * @param {string} group - 'listing', 'images', 'download', 'report' or 'admin'
+ * @param {Object} options - Middleware options
+ * @param {string[]} options.methods - Only count these HTTP methods (default: all)
+ */
+export function rateLimit(group, { methods = null } = {}) {
+  if (!DEFAULT_LIMITS[group]) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+  
+  return async (req, res, next) => {
+    if (methods && !methods.includes(req.method)) {
+      return next();
+    }
+    
+    try {
+      const key = await resolveAdminKey(req);
+      const type = key ? 'key' : 'ip';
+      const limit = getLimit(group, type);
+      const identity = key ? key.key_id : req.ip;
+      
+      const result = consume(`${group}:${type}:${identity}`, limit);
+      
+      res.set({
+        'RateLimit-Policy': `${limit.capacity};w=${limit.windowSeconds}`,
+        'RateLimit-Limit': String(limit.capacity),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.resetSeconds)
+      });
+      
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({ 
+          success: false, 
+          error: 'Too many requests, please slow down' 
+        });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export default {
+  rateLimit,
+  parseLimit,
+  consume
+};
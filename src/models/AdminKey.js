@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Scopes an admin key can hold ('*' grants everything)
+export const ADMIN_SCOPES = ['*', 'keys', 'ingest', 'categories', 'analytics', 'moderation', 'curation'];
+
+const adminKeySchema = new mongoose.Schema({
+  // Public identifier embedded in the token, used for lookup
+  key_id: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the secret part; the secret itself is never stored
+  secret_hash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: ADMIN_SCOPES }],
+    default: ['*']
+  },
+  expires_at: Date,
+  revoked_at: Date,
+  last_used_at: Date
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+const AdminKey = mongoose.model('AdminKey', adminKeySchema);
+
+export default AdminKey;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+// How a category's page slots are shared between providers at ingest
+export const INGEST_STRATEGIES = ['fallback', 'round-robin', 'weighted'];
+export const MAX_PAGE_DEPTH = 10;
+
 const categorySchema = new mongoose.Schema({
   slug: {
     type: String,
@@ -18,7 +22,21 @@ const categorySchema = new mongoose.Schema({
     default: 0
   },
   cover_image_url: String,
-  search_query: String
+  search_query: String,
+  // Orientations fetched for this category at ingest
+  orientations: {
+    type: [{ type: String, enum: ['portrait', 'landscape', 'square'] }],
+    default: ['portrait']
+  },
+  // Ingestion overrides; unset fields use the INGEST_* env defaults
+  ingestion: {
+    strategy: { type: String, enum: INGEST_STRATEGIES },
+    page_depth: { type: Number, min: 1, max: MAX_PAGE_DEPTH },
+    // Wallpapers per request, keyed by provider name
+    batch_sizes: { type: Map, of: Number },
+    // Provider weights for the weighted strategy (default 1, 0 disables)
+    weights: { type: Map, of: Number }
+  }
 }, {
   timestamps: false, // We'll handle updates manually if needed
   versionKey: false
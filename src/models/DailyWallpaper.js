@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * The wallpaper of the day, one document per UTC date
+ * Picked by jobs/daily.js; the history is served at /api/wallpapers/daily/history.
+ */
+const dailyWallpaperSchema = new mongoose.Schema({
+  // UTC day, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  wallpaper_id: {
+    type: String,
+    required: true,
+    ref: 'Wallpaper',
+    index: true
+  },
+  // Pick weight the wallpaper had (quality and recency)
+  score: Number,
+  // A pick replaced because its wallpaper was taken down
+  replaced_id: String,
+  picked_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+const DailyWallpaper = mongoose.model('DailyWallpaper', dailyWallpaperSchema);
+
+export default DailyWallpaper;
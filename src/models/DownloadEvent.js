@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * One row per tracked download
+ * Source of truth for trending scores and download analytics; the
+ * `downloads` counter on Wallpaper is kept as the all-time total.
+ */
+const downloadEventSchema = new mongoose.Schema({
+  wallpaper_id: {
+    type: String,
+    required: true,
+    ref: 'Wallpaper'
+  },
+  // Denormalized so analytics can group without a lookup
+  category: String,
+  source: String,
+  // Keyed hash of the client's IP (clientHash in routes/wallpapers.js), links
+  // downloads for similar-wallpaper ranking
+  client: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+downloadEventSchema.index({ created_at: -1 });
+downloadEventSchema.index({ wallpaper_id: 1, created_at: -1 });
+downloadEventSchema.index({ client: 1, created_at: -1 });
+
+const DownloadEvent = mongoose.model('DownloadEvent', downloadEventSchema);
+
+export default DownloadEvent;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+export const CLUSTER_STATUSES = ['pending', 'merged', 'dismissed'];
+
+/**
+ * A group of near-duplicate wallpapers (same image from different providers)
+ * Everything stays listed while the cluster is pending; merging hides the
+ * members via their `duplicate_of` field, dismissing leaves them be.
+ */
+const duplicateClusterSchema = new mongoose.Schema({
+  canonical_id: {
+    type: String,
+    required: true,
+    ref: 'Wallpaper'
+  },
+  member_ids: [{ type: String, ref: 'Wallpaper' }],
+  // Largest perceptual-hash distance between a member and the canonical
+  max_distance: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: CLUSTER_STATUSES,
+    default: 'pending'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  resolved_at: Date
+}, {
+  versionKey: false
+});
+
+duplicateClusterSchema.index({ canonical_id: 1, status: 1 });
+duplicateClusterSchema.index({ status: 1, created_at: -1 });
+duplicateClusterSchema.index({ member_ids: 1, status: 1 });
+
+const DuplicateCluster = mongoose.model('DuplicateCluster', duplicateClusterSchema);
+
+export default DuplicateCluster;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * Next page to fetch per (category, provider, orientation)
+ * Persisted so restarts resume where the last run stopped
+ */
+const fetchCursorSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  orientation: {
+    type: String,
+    default: 'portrait'
+  },
+  next_page: {
+    type: Number,
+    default: 1
+  },
+  // Set when the provider returned a short page (no more results)
+  exhausted_at: Date
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+fetchCursorSchema.index({ category: 1, provider: 1, orientation: 1 }, { unique: true });
+
+const FetchCursor = mongoose.model('FetchCursor', fetchCursorSchema);
+
+export default FetchCursor;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cluster-wide lease locks, one document per lock name
+ * A lock whose lease has expired (holder crashed) can be taken over.
+ */
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Lock name
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  // Job run holding the lock, so callers can point at it
+  run_id: mongoose.Schema.Types.ObjectId,
+  acquired_at: Date,
+  expires_at: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * History of ingestion runs (exposed at GET /api/admin/jobs)
+ */
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // What started it: cron, startup, admin, category
+  trigger: String,
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  finished_at: Date,
+  total_new: {
+    type: Number,
+    default: 0
+  },
+  // One entry per category/orientation fetch
+  results: [{
+    _id: false,
+    category: String,
+    orientation: String,
+    provider: String,
+    page: Number,
+    fetched: Number,
+    saved: Number,
+    error: String
+  }],
+  // Run-level failures (per-fetch errors live in results)
+  error_messages: [String]
+}, {
+  versionKey: false
+});
+
+jobRunSchema.index({ started_at: -1 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
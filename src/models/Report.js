@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['inappropriate', 'offensive', 'copyright', 'spam', 'low_quality', 'other'];
+export const REPORT_STATUSES = ['open', 'resolved'];
+// What the moderator did when resolving: nothing, or hide the wallpaper
+export const REPORT_ACTIONS = ['none', 'hide'];
+
+/**
+ * A user report against a wallpaper, queued for moderation
+ */
+const reportSchema = new mongoose.Schema({
+  wallpaper_id: {
+    type: String,
+    required: true,
+    ref: 'Wallpaper'
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: 1000
+  },
+  // Keyed hash of the client's IP (clientHash in routes/wallpapers.js), to ignore repeat reports
+  reporter: String,
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open'
+  },
+  action: {
+    type: String,
+    enum: REPORT_ACTIONS
+  },
+  note: String,
+  // key_id of the admin key that resolved it
+  resolved_by: String,
+  resolved_at: Date,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+reportSchema.index({ status: 1, created_at: -1 });
+reportSchema.index({ wallpaper_id: 1, status: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import { createRandomKey } from '../services/pagination.js';
+import { PROVIDER_NAMES } from '../services/providers.js';
+
+// Who featured a wallpaper: an admin, or the curated/popular feed ingestion
+export const FEATURED_BY = ['editor', 'curated'];
 
 const wallpaperSchema = new mongoose.Schema({
   _id: {
@@ -8,7 +13,7 @@ const wallpaperSchema = new mongoose.Schema({
   source: {
     type: String,
     required: true,
-    enum: ['unsplash', 'pexels', 'gemini'],
+    enum: [...PROVIDER_NAMES, 'gemini'], // Registered providers plus AI-generated
     index: true
   },
   external_id: {
@@ -18,6 +23,11 @@ const wallpaperSchema = new mongoose.Schema({
   title: String,
   photographer: String,
   photographer_url: String,
+  // Source + profile handle (or name), derived at ingest (see services/photographers.js)
+  photographer_slug: {
+    type: String,
+    index: true
+  },
   
   // Image URLs
   url_thumb: { type: String, required: true },
@@ -26,10 +36,59 @@ const wallpaperSchema = new mongoose.Schema({
   url_raw: String,
   
   // Metadata
-  width: Number,
+  width: {
+    type: Number,
+    index: true
+  },
   height: Number,
+  // width / height, derived at ingest for aspect and device filtering
+  aspect_ratio: {
+    type: Number,
+    index: true
+  },
+  orientation: {
+    type: String,
+    enum: ['portrait', 'landscape', 'square'],
+    index: true
+  },
   color: String,
+  // Derived from `color` at ingest for perceptual color search
+  color_lab: {
+    l: Number,
+    a: Number,
+    b: Number
+  },
+  color_bucket: {
+    type: String,
+    index: true
+  },
   blur_hash: String,
+  // Tiny base64 JPEG data URI shown while the image loads
+  lqip: String,
+  // Perceptual hash (dHash, 16 hex chars) and its band keys for near-duplicate lookup
+  phash: String,
+  phash_bands: {
+    type: [String],
+    index: true
+  },
+  // Canonical wallpaper this one duplicates; duplicates are left out of listings
+  duplicate_of: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Set by moderators; hidden wallpapers are kept (so ingestion won't re-add
+  // them) but never served
+  hidden_at: {
+    type: Date,
+    default: null
+  },
+  hidden_reason: String,
+  // Failed placeholder computations, so the backfill gives up on broken images
+  placeholder_attempts: {
+    type: Number,
+    default: 0
+  },
   
   // Categorization
   category: {
@@ -39,7 +98,17 @@ const wallpaperSchema = new mongoose.Schema({
     localField: 'category',
     foreignField: 'slug'
   },
-  tags: [String], // Array of strings
+  // Every category the image was found under (category above is the first)
+  categories: {
+    type: [String],
+    index: true
+  },
+  tags: {
+    type: [String], // Normalized, see services/tags.js
+    index: true
+  },
+  // Set once tags have been derived (title words, category keywords)
+  tags_derived: Boolean,
   
   // Stats
   downloads: {
@@ -47,16 +116,37 @@ const wallpaperSchema = new mongoose.Schema({
     default: 0,
     index: -1 // Descending index
   },
+  // Time-decayed recent downloads, refreshed by jobs/trending.js
+  trending_score: {
+    type: Number,
+    default: 0
+  },
   is_featured: {
     type: Boolean,
     default: false,
     index: true
   },
+  // Optional window the wallpaper is featured in (open-ended when unset)
+  featured_from: Date,
+  featured_until: Date,
+  // Position in the featured feed; unordered ones follow, newest first
+  featured_order: Number,
+  featured_at: Date,
+  featured_by: {
+    type: String,
+    enum: FEATURED_BY
+  },
   is_ai_generated: {
     type: Boolean,
     default: false
   },
   
+  // Stable per-document key permuted by the seed in sort=random feeds
+  random_key: {
+    type: Number,
+    default: createRandomKey
+  },
+  
   fetched_at: {
     type: Date,
     default: Date.now
@@ -69,6 +159,21 @@ const wallpaperSchema = new mongoose.Schema({
 // Compound index for unique external items
 wallpaperSchema.index({ external_id: 1, source: 1 }, { unique: true });
 
+// Keyset pagination indexes for the popular and newest feeds
+wallpaperSchema.index({ downloads: -1, created_at: -1, _id: 1 });
+wallpaperSchema.index({ created_at: -1, _id: -1 });
+wallpaperSchema.index({ trending_score: -1, created_at: -1, _id: 1 });
+
+// Lab index for hex color searches: the lightness range bounds the scan and
+// the a/b ranges are checked on the index keys before documents are fetched
+wallpaperSchema.index({ 'color_lab.l': 1, 'color_lab.a': 1, 'color_lab.b': 1 });
+
+// Full-text index for search (title matches rank highest)
+wallpaperSchema.index(
+  { title: 'text', tags: 'text', photographer: 'text' },
+  { name: 'wallpaper_text_search', weights: { title: 5, tags: 3, photographer: 1 } }
+);
+
 const Wallpaper = mongoose.model('Wallpaper', wallpaperSchema);
 
 export default Wallpaper;
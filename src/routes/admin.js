@@ -0,0 +1,802 @@
+import { Router } from 'express';
+import { authenticateAdmin, requireScope } from '../middleware/adminAuth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { createAdminKey, listAdminKeys, revokeAdminKey } from '../services/adminKeys.js';
+import { ADMIN_SCOPES } from '../models/AdminKey.js';
+import { startSeed, startCuratedFetch } from '../jobs/fetchWallpapers.js';
+import { ORIENTATIONS } from '../services/devices.js';
+import {
+  getDownloadStats,
+  getJobRuns,
+  getJobRunById,
+  getDuplicateClusters,
+  getDuplicateClusterById,
+  mergeDuplicateCluster,
+  dismissDuplicateCluster,
+  hideWallpaper,
+  unhideWallpaper,
+  getReports,
+  getReportById,
+  resolveReports,
+  getFeaturedWallpapers,
+  getFeaturedCount,
+  featureWallpaper,
+  unfeatureWallpaper,
+  reorderFeatured
+} from '../services/database.js';
+import { CLUSTER_STATUSES } from '../models/DuplicateCluster.js';
+import { REPORT_ACTIONS, REPORT_REASONS, REPORT_STATUSES } from '../models/Report.js';
+import { purgeImageCache } from '../services/imageCache.js';
+import { getQuotaStatus } from '../services/quota.js';
+
+const router = Router();
+
+const ANALYTICS_GROUPS = ['day', 'category', 'source', 'wallpaper'];
+const DEFAULT_ANALYTICS_DAYS = 30;
+const FEATURED_STATUSES = ['active', 'scheduled', 'expired', 'all'];
+
+// Every admin route is rate limited and requires a valid API key
+router.use(rateLimit('admin'), authenticateAdmin);
+
+/**
+ * POST /api/admin/seed
+ * Trigger a full provider fetch in the background
+ * Responds 409 with the active run's ID if an ingestion run is already going
+ * Optional body: { "orientations": ["portrait", "landscape"] }
+ */
+router.post('/seed', requireScope('ingest'), async (req, res) => {
+  try {
+    const orientations = req.body?.orientations;
+    if (orientations !== undefined &&
+        (!Array.isArray(orientations) || !orientations.every(o => ORIENTATIONS.includes(o)))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `orientations must be an array of: ${ORIENTATIONS.join(', ')}` 
+      });
+    }
+    
+    console.log(`🌱 Manual seed triggered by key ${req.adminKey.key_id}`);
+    const { started, runId } = await startSeed({ orientations, trigger: 'admin' }); // Runs in background
+    
+    if (!started) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'An ingestion run is already in progress',
+        runId 
+      });
+    }
+    
+    res.status(202).json({ success: true, message: 'Seeding started in background', runId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/quota
+ * Current provider rate-limit budgets as seen by the quota manager
+ */
+router.get('/quota', requireScope('ingest'), (req, res) => {
+  res.json({
+    success: true,
+    data: getQuotaStatus()
+  });
+});
+
+/**
+ * GET /api/admin/jobs
+ * Recent ingestion runs, newest first (without per-fetch results)
+ * Query params: job, status, limit
+ */
+router.get('/jobs', requireScope('ingest'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await getJobRuns({
+      job: req.query.job || null,
+      status: req.query.status || null,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch job runs' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:id
+ * A single run with per-category results and errors
+ */
+router.get('/jobs/:id', requireScope('ingest'), async (req, res) => {
+  try {
+    const run = await getJobRunById(req.params.id);
+    
+    if (!run) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Job run not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error fetching job run:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch job run' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * List admin API keys (secrets are never returned)
+ */
+router.get('/keys', requireScope('keys'), async (req, res) => {
+  try {
+    const keys = await listAdminKeys();
+    
+    res.json({
+      success: true,
+      data: keys
+    });
+  } catch (error) {
+    console.error('Error listing admin keys:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to list admin keys' 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/keys
+ * Create an admin API key
+ * Body: { name, scopes?, expiresAt? }
+ * The token is only returned in this response
+ */
+router.post('/keys', requireScope('keys'), async (req, res) => {
+  try {
+    const { name, scopes = ['*'], expiresAt } = req.body || {};
+    
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'name is required' 
+      });
+    }
+    
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => ADMIN_SCOPES.includes(s))) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `scopes must be a non-empty array of: ${ADMIN_SCOPES.join(', ')}` 
+      });
+    }
+    
+    // A key can't hand out scopes it doesn't have
+    const callerScopes = req.adminKey.scopes;
+    if (!callerScopes.includes('*') && !scopes.every(s => callerScopes.includes(s))) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Cannot grant scopes beyond your own' 
+      });
+    }
+    
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime())) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Invalid expiresAt' 
+        });
+      }
+    }
+    
+    const { key, token } = await createAdminKey({ name, scopes, expiresAt: expiry });
+    
+    res.status(201).json({
+      success: true,
+      data: key,
+      token
+    });
+  } catch (error) {
+    console.error('Error creating admin key:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create admin key' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/keys/:keyId
+ * Revoke an admin API key
+ */
+router.delete('/keys/:keyId', requireScope('keys'), async (req, res) => {
+  try {
+    const key = await revokeAdminKey(req.params.keyId);
+    
+    if (!key) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Admin key not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    console.error('Error revoking admin key:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to revoke admin key' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/analytics/downloads
+ * Download counts from the per-event log
+ * Query params: groupBy (day|category|source|wallpaper), from, to, category, source, limit
+ * Range defaults to the last 30 days; `to` is exclusive
+ */
+router.get('/analytics/downloads', requireScope('analytics'), async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'day';
+    if (!ANALYTICS_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `groupBy must be one of: ${ANALYTICS_GROUPS.join(', ')}` 
+      });
+    }
+    
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_ANALYTICS_DAYS * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'from and to must be valid dates with from before to' 
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const stats = await getDownloadStats({
+      groupBy,
+      from,
+      to,
+      category: req.query.category || null,
+      source: req.query.source || null,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      data: stats.groups,
+      total: stats.total,
+      groupBy,
+      range: { from, to }
+    });
+  } catch (error) {
+    console.error('Error fetching download analytics:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch download analytics' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/duplicates
+ * Near-duplicate clusters with their wallpapers, newest first
+ * Query params: status (default pending), limit
+ */
+router.get('/duplicates', requireScope('moderation'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!CLUSTER_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `status must be one of: ${CLUSTER_STATUSES.join(', ')}` 
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const clusters = await getDuplicateClusters({ status, limit });
+    
+    res.json({
+      success: true,
+      data: clusters
+    });
+  } catch (error) {
+    console.error('Error fetching duplicate clusters:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch duplicate clusters' 
+    });
+  }
+});
+
+/**
+ * Load a pending duplicate cluster for review actions
+ * Sends the 404/409 response itself and returns null when it can't be acted on
+ */
+async function loadPendingCluster(req, res) {
+  const cluster = await getDuplicateClusterById(req.params.id);
+  
+  if (!cluster) {
+    res.status(404).json({ success: false, error: 'Duplicate cluster not found' });
+    return null;
+  }
+  if (cluster.status !== 'pending') {
+    res.status(409).json({ success: false, error: `Cluster already ${cluster.status}` });
+    return null;
+  }
+  
+  return cluster;
+}
+
+/**
+ * POST /api/admin/duplicates/:id/merge
+ * Confirm a cluster: keep one wallpaper listed, hide the rest and fold their downloads into it
+ * Optional body: { "canonicalId": "<wallpaper id in the cluster>" } (default: the current canonical)
+ */
+router.post('/duplicates/:id/merge', requireScope('moderation'), async (req, res) => {
+  try {
+    const cluster = await loadPendingCluster(req, res);
+    if (!cluster) return;
+    
+    const canonicalId = req.body?.canonicalId ?? cluster.canonical_id;
+    if (![cluster.canonical_id, ...cluster.member_ids].includes(canonicalId)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'canonicalId must be a wallpaper in this cluster' 
+      });
+    }
+    
+    const merged = await mergeDuplicateCluster(cluster, canonicalId);
+    console.log(`🪞 Duplicate cluster ${cluster._id} merged into ${canonicalId} by key ${req.adminKey.key_id}`);
+    
+    res.json({
+      success: true,
+      data: merged
+    });
+  } catch (error) {
+    console.error('Error merging duplicate cluster:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to merge duplicate cluster' 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/duplicates/:id/dismiss
+ * Not actually duplicates: list the cluster's members again
+ */
+router.post('/duplicates/:id/dismiss', requireScope('moderation'), async (req, res) => {
+  try {
+    const cluster = await loadPendingCluster(req, res);
+    if (!cluster) return;
+    
+    const dismissed = await dismissDuplicateCluster(cluster);
+    console.log(`🪞 Duplicate cluster ${cluster._id} dismissed by key ${req.adminKey.key_id}`);
+    
+    res.json({
+      success: true,
+      data: dismissed
+    });
+  } catch (error) {
+    console.error('Error dismissing duplicate cluster:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to dismiss duplicate cluster' 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports
+ * The moderation queue: reports with their wallpapers (open ones oldest first)
+ * Query params: status (default open), reason, wallpaperId, limit
+ */
+router.get('/reports', requireScope('moderation'), async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `status must be one of: ${REPORT_STATUSES.join(', ')}` 
+      });
+    }
+    
+    const reason = req.query.reason || null;
+    if (reason && !REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `reason must be one of: ${REPORT_REASONS.join(', ')}` 
+      });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const reports = await getReports({
+      status,
+      reason,
+      wallpaperId: req.query.wallpaperId || null,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      data: reports
+    });
+  } catch (error) {
+    console.error('Error fetching reports:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch reports' 
+    });
+  }
+});
+
+/**
+ * Hide a wallpaper and drop its cached images
+ */
+async function hideAndPurge(id, reason) {
+  const wallpaper = await hideWallpaper(id, reason);
+  if (wallpaper) {
+    await purgeImageCache(id).catch(error => {
+      console.error(`⚠️ Failed to purge cached images for ${id}:`, error.message);
+    });
+  }
+  return wallpaper;
+}
+
+/**
+ * POST /api/admin/reports/:id/resolve
+ * Resolve a report and every other open report on the same wallpaper
+ * Body: { action: "none" | "hide", note? } — "hide" takes the wallpaper down
+ */
+router.post('/reports/:id/resolve', requireScope('moderation'), async (req, res) => {
+  try {
+    const { action = 'none', note } = req.body || {};
+    
+    if (!REPORT_ACTIONS.includes(action)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `action must be one of: ${REPORT_ACTIONS.join(', ')}` 
+      });
+    }
+    
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ success: false, error: 'note must be a string' });
+    }
+    
+    const report = await getReportById(req.params.id);
+    
+    if (!report) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Report not found' 
+      });
+    }
+    
+    if (report.status !== 'open') {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Report already resolved' 
+      });
+    }
+    
+    let wallpaper = null;
+    if (action === 'hide') {
+      wallpaper = await hideAndPurge(report.wallpaper_id, note || `Reported: ${report.reason}`);
+      console.log(`🚫 Wallpaper ${report.wallpaper_id} hidden by key ${req.adminKey.key_id}`);
+    }
+    
+    const resolved = await resolveReports(report.wallpaper_id, {
+      action,
+      note,
+      resolvedBy: req.adminKey.key_id
+    });
+    
+    res.json({
+      success: true,
+      data: { resolved, wallpaper }
+    });
+  } catch (error) {
+    console.error('Error resolving report:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to resolve report' 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/wallpapers/:id/hide
+ * Take a wallpaper down (also resolves its open reports)
+ * Optional body: { "reason": "..." }
+ */
+router.post('/wallpapers/:id/hide', requireScope('moderation'), async (req, res) => {
+  try {
+    const reason = req.body?.reason;
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({ success: false, error: 'reason must be a string' });
+    }
+    
+    const wallpaper = await hideAndPurge(req.params.id, reason || null);
+    
+    if (!wallpaper) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Wallpaper not found' 
+      });
+    }
+    
+    await resolveReports(wallpaper._id, { action: 'hide', note: reason, resolvedBy: req.adminKey.key_id });
+    console.log(`🚫 Wallpaper ${wallpaper._id} hidden by key ${req.adminKey.key_id}`);
+    
+    res.json({
+      success: true,
+      data: wallpaper
+    });
+  } catch (error) {
+    console.error('Error hiding wallpaper:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to hide wallpaper' 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/wallpapers/:id/unhide
+ * Make a hidden wallpaper public again
+ */
+router.post('/wallpapers/:id/unhide', requireScope('moderation'), async (req, res) => {
+  try {
+    const wallpaper = await unhideWallpaper(req.params.id);
+    
+    if (!wallpaper) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Wallpaper not found' 
+      });
+    }
+    
+    console.log(`👁️ Wallpaper ${wallpaper._id} unhidden by key ${req.adminKey.key_id}`);
+    
+    res.json({
+      success: true,
+      data: wallpaper
+    });
+  } catch (error) {
+    console.error('Error unhiding wallpaper:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to unhide wallpaper' 
+    });
+  }
+});
+
+/**
+ * Validate the body of a feature request
+ * Returns { error } or { settings } for featureWallpaper: only the fields
+ * sent, with null kept to clear one
+ */
+function parseFeatureSettings(body = {}) {
+  const settings = {};
+  
+  for (const field of ['from', 'until']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      settings[field] = null;
+      continue;
+    }
+    
+    const date = typeof body[field] === 'string' ? new Date(body[field]) : null;
+    if (!date || isNaN(date.getTime())) {
+      return { error: `${field} must be an ISO date` };
+    }
+    settings[field] = date;
+  }
+  
+  if (settings.from && settings.until && settings.until <= settings.from) {
+    return { error: 'until must be after from' };
+  }
+  
+  if (settings.until && settings.until <= new Date()) {
+    return { error: 'until must be in the future' };
+  }
+  
+  if (body.order !== undefined) {
+    if (body.order !== null && (!Number.isInteger(body.order) || body.order < 1)) {
+      return { error: 'order must be a positive integer' };
+    }
+    settings.order = body.order;
+  }
+  
+  return { settings };
+}
+
+/**
+ * GET /api/admin/featured
+ * Featured wallpapers in feed order, including scheduled and expired ones
+ * Query params: status (active, scheduled, expired, all; default all), page, limit
+ */
+router.get('/featured', requireScope('curation'), async (req, res) => {
+  try {
+    const status = req.query.status || 'all';
+    if (!FEATURED_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `status must be one of: ${FEATURED_STATUSES.join(', ')}` 
+      });
+    }
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const wallpapers = await getFeaturedWallpapers({ page, limit, status });
+    const total = await getFeaturedCount(status);
+    
+    res.json({
+      success: true,
+      data: wallpapers,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching featured wallpapers:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch featured wallpapers' 
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/featured/order
+ * Set the order of the featured feed
+ * Body: { "ids": ["<wallpaper id>", ...] } — first to last; other ordered picks follow them
+ */
+router.put('/featured/order', requireScope('curation'), async (req, res) => {
+  try {
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 200 ||
+        !ids.every(id => typeof id === 'string') || new Set(ids).size !== ids.length) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'ids must be an array of up to 200 distinct wallpaper IDs' 
+      });
+    }
+    
+    const reordered = await reorderFeatured(ids);
+    console.log(`🔢 Featured feed reordered (${reordered} wallpapers) by key ${req.adminKey.key_id}`);
+    
+    res.json({
+      success: true,
+      data: { reordered }
+    });
+  } catch (error) {
+    console.error('Error reordering featured wallpapers:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to reorder featured wallpapers' 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/featured/refresh
+ * Fetch the providers' curated feeds now (normally every 6 hours)
+ * Responds 409 with the active run's ID if an ingestion run is already going
+ */
+router.post('/featured/refresh', requireScope('ingest'), async (req, res) => {
+  try {
+    console.log(`⭐ Curated fetch triggered by key ${req.adminKey.key_id}`);
+    const { started, runId } = await startCuratedFetch({ trigger: 'admin' }); // Runs in background
+    
+    if (!started) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'An ingestion run is already in progress',
+        runId 
+      });
+    }
+    
+    res.status(202).json({ success: true, message: 'Curated fetch started in background', runId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/wallpapers/:id/feature
+ * Feature a wallpaper, or change its window and position
+ * Optional body: { "from": ISO date, "until": ISO date, "order": 1 }
+ * Fields left out keep their value; null clears one (from: now, until:
+ * open-ended, order: after the ordered picks)
+ */
+router.post('/wallpapers/:id/feature', requireScope('curation'), async (req, res) => {
+  try {
+    const { settings, error } = parseFeatureSettings(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const wallpaper = await featureWallpaper(req.params.id, settings);
+    
+    if (!wallpaper) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Wallpaper not found' 
+      });
+    }
+    
+    console.log(`⭐ Wallpaper ${wallpaper._id} featured by key ${req.adminKey.key_id}`);
+    
+    res.json({
+      success: true,
+      data: wallpaper
+    });
+  } catch (error) {
+    console.error('Error featuring wallpaper:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to feature wallpaper' 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/wallpapers/:id/unfeature
+ * Take a wallpaper out of the featured feed
+ */
+router.post('/wallpapers/:id/unfeature', requireScope('curation'), async (req, res) => {
+  try {
+    const wallpaper = await unfeatureWallpaper(req.params.id);
+    
+    if (!wallpaper) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Wallpaper not found' 
+      });
+    }
+    
+    console.log(`☆ Wallpaper ${wallpaper._id} unfeatured by key ${req.adminKey.key_id}`);
+    
+    res.json({
+      success: true,
+      data: wallpaper
+    });
+  } catch (error) {
+    console.error('Error unfeaturing wallpaper:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to unfeature wallpaper' 
+    });
+  }
+});
+
+export default router;
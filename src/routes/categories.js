@@ -1,8 +1,117 @@
 import { Router } from 'express';
-import { getCategories, getCategoryBySlug } from '../services/database.js';
+import { 
+  getCategories, 
+  getCategoryBySlug,
+  getWallpaperCount,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} from '../services/database.js';
+import { authenticateAdmin, requireScope } from '../middleware/adminAuth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { fetchWallpapersForCategory } from '../jobs/fetchWallpapers.js';
+import { ORIENTATIONS } from '../services/devices.js';
+import { PROVIDER_NAMES } from '../services/providers.js';
+import { INGEST_STRATEGIES, MAX_PAGE_DEPTH } from '../models/Category.js';
 
 const router = Router();
 
+const requireCategoryAdmin = [rateLimit('admin'), authenticateAdmin, requireScope('categories')];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const EDITABLE_FIELDS = ['slug', 'name', 'icon', 'color', 'search_query', 'orientations', 'cover_image_url', 'ingestion'];
+
+/**
+ * Validate a category's ingestion settings (null clears them)
+ * @returns {string | null} Error message
+ */
+function validateIngestion(ingestion) {
+  if (ingestion === null) return null;
+  if (typeof ingestion !== 'object' || Array.isArray(ingestion)) {
+    return 'ingestion must be an object';
+  }
+  
+  const { strategy, page_depth: pageDepth, batch_sizes: batchSizes, weights, ...rest } = ingestion;
+  
+  if (Object.keys(rest).length > 0) {
+    return 'ingestion accepts strategy, page_depth, batch_sizes and weights';
+  }
+  if (strategy !== undefined && !INGEST_STRATEGIES.includes(strategy)) {
+    return `ingestion.strategy must be one of: ${INGEST_STRATEGIES.join(', ')}`;
+  }
+  if (pageDepth !== undefined && !(Number.isInteger(pageDepth) && pageDepth >= 1 && pageDepth <= MAX_PAGE_DEPTH)) {
+    return `ingestion.page_depth must be an integer from 1 to ${MAX_PAGE_DEPTH}`;
+  }
+  
+  // Per-provider maps: batch sizes are at least 1, weights at least 0
+  for (const [key, map, min] of [['batch_sizes', batchSizes, 1], ['weights', weights, 0]]) {
+    if (map === undefined) continue;
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+      return `ingestion.${key} must be an object keyed by provider`;
+    }
+    for (const [provider, value] of Object.entries(map)) {
+      if (!PROVIDER_NAMES.includes(provider)) {
+        return `ingestion.${key}: unknown provider ${provider}. Use: ${PROVIDER_NAMES.join(', ')}`;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min) {
+        return `ingestion.${key}.${provider} must be a number >= ${min}`;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Pick and validate editable category fields from a request body
+ * Returns { error } when a value is invalid
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow missing required fields (PATCH)
+ */
+function parseCategoryFields(body = {}, partial = false) {
+  const fields = {};
+  
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+  
+  if (!partial) {
+    for (const key of ['slug', 'name', 'search_query']) {
+      if (!fields[key]) {
+        return { error: `${key} is required` };
+      }
+    }
+  }
+  
+  if (fields.slug !== undefined && (typeof fields.slug !== 'string' || !SLUG_PATTERN.test(fields.slug))) {
+    return { error: 'slug must be lowercase letters, digits and dashes' };
+  }
+  
+  for (const key of ['name', 'icon', 'color', 'search_query', 'cover_image_url']) {
+    if (fields[key] !== undefined && typeof fields[key] !== 'string') {
+      return { error: `${key} must be a string` };
+    }
+  }
+  
+  if (fields.orientations !== undefined &&
+      (!Array.isArray(fields.orientations) || fields.orientations.length === 0 ||
+       !fields.orientations.every(o => ORIENTATIONS.includes(o)))) {
+    return { error: `orientations must be a non-empty array of: ${ORIENTATIONS.join(', ')}` };
+  }
+  
+  if (fields.ingestion !== undefined) {
+    const ingestionError = validateIngestion(fields.ingestion);
+    if (ingestionError) {
+      return { error: ingestionError };
+    }
+  }
+  
+  return { fields };
+}
+
+
 /**
  * GET /api/categories
  * Get all categories with wallpaper counts
@@ -53,5 +162,151 @@ router.get('/:slug', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/categories (admin)
+ * Create a category
+ * Body: { slug, name, search_query, icon?, color?, orientations?, cover_image_url?, ingestion?, fetch? }
+ * With fetch: true, wallpapers for it are fetched in the background right away
+ */
+router.post('/', requireCategoryAdmin, async (req, res) => {
+  try {
+    const { fields, error } = parseCategoryFields(req.body, false);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    if (await getCategoryBySlug(fields.slug)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'Category already exists' 
+      });
+    }
+    
+    const category = await createCategory(fields);
+    
+    // Fetch runs in the background; if another ingestion run holds the lock,
+    // the new category is picked up by the next scheduled run instead
+    let fetch = null;
+    if (req.body.fetch === true) {
+      console.log(`🌱 Fetching wallpapers for new category: ${category.slug}`);
+      const { started, runId } = await fetchWallpapersForCategory(category);
+      fetch = { started, runId };
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: category,
+      fetch
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to create category' 
+    });
+  }
+});
+
+/**
+ * PATCH /api/categories/:slug (admin)
+ * Update a category. Changing `slug` moves its wallpapers to the new slug.
+ * `ingestion` replaces the category's ingestion settings as a whole.
+ */
+router.patch('/:slug', requireCategoryAdmin, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { fields, error } = parseCategoryFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}` 
+      });
+    }
+    
+    if (fields.slug && fields.slug !== slug && await getCategoryBySlug(fields.slug)) {
+      return res.status(409).json({ 
+        success: false, 
+        error: 'A category with that slug already exists' 
+      });
+    }
+    
+    const category = await updateCategory(slug, fields);
+    
+    if (!category) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Category not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to update category' 
+    });
+  }
+});
+
+/**
+ * DELETE /api/categories/:slug (admin)
+ * Delete a category. If it still has wallpapers, pass either
+ * ?moveTo=<slug> to reassign them or ?deleteWallpapers=true to remove them.
+ * Wallpapers that are also in other categories are never deleted, only
+ * taken out of this one.
+ */
+router.delete('/:slug', requireCategoryAdmin, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const moveTo = req.query.moveTo || null;
+    const deleteWallpapers = req.query.deleteWallpapers === 'true';
+    
+    if (!await getCategoryBySlug(slug)) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Category not found' 
+      });
+    }
+    
+    if (moveTo) {
+      if (moveTo === slug || !await getCategoryBySlug(moveTo)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'moveTo must be another existing category' 
+        });
+      }
+    } else if (!deleteWallpapers) {
+      const count = await getWallpaperCount({ category: slug });
+      if (count > 0) {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Category has ${count} wallpapers. Pass moveTo=<slug> or deleteWallpapers=true` 
+        });
+      }
+    }
+    
+    const result = await deleteCategory(slug, { moveTo, deleteWallpapers });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete category' 
+    });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,74 @@
+import { Router } from 'express';
+import { getWallpaperById } from '../services/database.js';
+import {
+  IMAGE_FORMATS,
+  IMAGE_VARIANTS,
+  parseVariant,
+  negotiateFormat,
+  getImageVariant
+} from '../services/imageCache.js';
+
+const router = Router();
+
+// Wallpaper IDs are "<source>_<external id>"; anything else can't name a cache directory
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * GET /api/images/:id/:variant
+ * Serve a resized copy of a wallpaper from the local image cache
+ * Variant: thumb, preview or a device slug (phone, tablet, desktop-4k, ...),
+ * optionally with a format extension (thumb.webp, phone.avif, desktop.jpg).
+ * Without an extension the format follows the Accept header.
+ */
+router.get('/:id/:variant', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const parsed = parseVariant(req.params.variant);
+
+    if (!parsed) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid variant. Use one of: ${Object.keys(IMAGE_VARIANTS).join(', ')}, ` +
+          `optionally with .${Object.values(IMAGE_FORMATS).map(f => f.extension).join(', .')}`
+      });
+    }
+
+    const wallpaper = ID_PATTERN.test(id) ? await getWallpaperById(id) : null;
+
+    if (!wallpaper) {
+      return res.status(404).json({
+        success: false,
+        error: 'Wallpaper not found'
+      });
+    }
+
+    const format = parsed.format || negotiateFormat(req.get('Accept'));
+
+    let path;
+    try {
+      path = await getImageVariant(wallpaper, parsed.variant, format);
+    } catch (error) {
+      console.error(`Error rendering ${id}/${parsed.variant}:`, error.message);
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to load source image'
+      });
+    }
+
+    const headers = { 'Content-Type': IMAGE_FORMATS[format].contentType };
+    if (!parsed.format) {
+      headers.Vary = 'Accept';
+    }
+
+    // Variants never change for a given wallpaper, so caches may keep them for good
+    res.sendFile(path, { maxAge: '365d', immutable: true, headers });
+  } catch (error) {
+    console.error('Error serving image:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve image'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,145 @@
+import { Router } from 'express';
+import {
+  getPhotographers,
+  getPhotographerBySlug,
+  getWallpapers,
+  getCategoryBySlug
+} from '../services/database.js';
+import { PROVIDER_NAMES } from '../services/providers.js';
+
+const router = Router();
+
+// The directory groups every wallpaper, so pages are reused for a while
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 200;
+const cache = new Map();
+
+const SORTS = ['popular', 'wallpapers', 'name', 'newest'];
+
+/**
+ * Return a cached value, computing it when missing or stale
+ */
+async function cached(key, compute) {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.at < CACHE_TTL_MS) {
+    return entry.value;
+  }
+  
+  const value = await compute();
+  // Oldest entry goes first, so paging through many filters can't grow it forever
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+/**
+ * GET /api/photographers
+ * Photographers with their profile link, wallpaper count, total downloads and categories
+ * Query params:
+ *   page, limit - Pagination (default 20, max 50)
+ *   sort        - popular (downloads, default), wallpapers, name or newest
+ *   source      - Only this provider's photographers
+ *   category    - Only photographers with wallpapers in this category
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const sort = req.query.sort || 'popular';
+    const source = req.query.source ? String(req.query.source) : null;
+    const category = req.query.category ? String(req.query.category) : null;
+    
+    if (!SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort. Use one of: ${SORTS.join(', ')}`
+      });
+    }
+    
+    if (source && !PROVIDER_NAMES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid source. Use one of: ${PROVIDER_NAMES.join(', ')}`
+      });
+    }
+    
+    if (category && !(await getCategoryBySlug(category))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
+    }
+    
+    const { photographers, total } = await cached(
+      `${page}:${limit}:${sort}:${source}:${category}`,
+      () => getPhotographers({ page, limit, sort, source, category })
+    );
+    const totalPages = Math.ceil(total / limit);
+    
+    res.json({
+      success: true,
+      data: photographers,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching photographers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch photographers'
+    });
+  }
+});
+
+/**
+ * GET /api/photographers/:slug
+ * One photographer's profile and their most downloaded wallpapers
+ * More wallpapers: GET /api/wallpapers?photographer=<slug>&cursor=<nextCursor>
+ * Query params: limit (default 20, max 50)
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    
+    const photographer = await getPhotographerBySlug(slug);
+    
+    if (!photographer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Photographer not found'
+      });
+    }
+    
+    const { wallpapers, nextCursor } = await getWallpapers({ limit, sort: 'popular', photographer: slug });
+    
+    res.json({
+      success: true,
+      data: {
+        ...photographer,
+        wallpapers
+      },
+      pagination: {
+        limit,
+        total: photographer.wallpaper_count,
+        hasMore: nextCursor !== null,
+        nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching photographer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch photographer'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,65 @@
+import { Router } from 'express';
+import { getTagCounts, getTopTagsByCategory, getCategoryBySlug } from '../services/database.js';
+
+const router = Router();
+
+// Tag counts scan every wallpaper, so results are reused for a while
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const cache = new Map();
+
+/**
+ * Return a cached value, computing it when missing or stale
+ */
+async function cached(key, compute) {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.at < CACHE_TTL_MS) {
+    return entry.value;
+  }
+  
+  const value = await compute();
+  cache.set(key, { value, at: Date.now() });
+  return value;
+}
+
+/**
+ * GET /api/tags
+ * Most used tags with wallpaper counts, plus the top tags of every category
+ * Query params:
+ *   category    - Only this category's tags (omits `categories`)
+ *   limit       - Max tags (default 50, max 200)
+ *   perCategory - Top tags per category (default 10, max 50)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const perCategory = Math.min(parseInt(req.query.perCategory) || 10, 50);
+    const category = req.query.category ? String(req.query.category) : null;
+    
+    if (category && !(await getCategoryBySlug(category))) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Category not found' 
+      });
+    }
+    
+    const tags = await cached(`tags:${category}:${limit}`, () => getTagCounts({ category, limit }));
+    
+    const data = { tags };
+    if (!category) {
+      data.categories = await cached(`categories:${perCategory}`, () => getTopTagsByCategory(perCategory));
+    }
+    
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch tags' 
+    });
+  }
+});
+
+export default router;
@@ -1,34 +1,229 @@
 import { Router } from 'express';
+import { createHmac, randomBytes } from 'crypto';
 import { 
-  getWallpapers, 
+  getWallpapers,
+  isValidCursor, 
   getWallpaperById, 
   getWallpaperCount,
+  searchWallpapers,
+  getSearchCount,
   incrementDownloadCount,
-  getSimilarWallpapers
+  recordDownloadEvent,
+  createReport,
+  getDailyHistory,
+  getFeaturedWallpapers,
+  getFeaturedCount
 } from '../services/database.js';
-import unsplash from '../services/unsplash.js';
+import { REPORT_REASONS } from '../models/Report.js';
+import { getProvider } from '../services/providers.js';
+import { COLOR_BUCKETS, parseHex } from '../services/color.js';
+import { DEVICE_PROFILES, ORIENTATIONS, getDeviceProfile, parseAspect } from '../services/devices.js';
+import { decodeCursor } from '../services/pagination.js';
+import { parseTagFilter } from '../services/tags.js';
+import { findSimilarWallpapers } from '../services/similarity.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { pickDailyWallpaper, utcDate } from '../jobs/daily.js';
 
 const router = Router();
 
+/**
+ * Parse the optional filters shared by the list routes
+ * Returns { error } when a filter value is invalid
+ */
+function parseListFilters(query) {
+  const filters = {};
+  
+  if (query.color) {
+    const color = String(query.color).trim().toLowerCase();
+    
+    if (!COLOR_BUCKETS.includes(color) && !parseHex(color)) {
+      return { error: `Invalid color. Use a hex value or one of: ${COLOR_BUCKETS.join(', ')}` };
+    }
+    
+    filters.color = color;
+    
+    if (query.tolerance !== undefined) {
+      const tolerance = parseFloat(query.tolerance);
+      if (isNaN(tolerance) || tolerance < 0) {
+        return { error: 'Invalid tolerance' };
+      }
+      filters.tolerance = Math.min(tolerance, 100);
+    }
+  }
+  
+  if (query.device) {
+    if (!getDeviceProfile(query.device)) {
+      return { error: `Unknown device. Use one of: ${Object.keys(DEVICE_PROFILES).join(', ')}` };
+    }
+    filters.device = query.device;
+  }
+  
+  for (const key of ['minWidth', 'minHeight']) {
+    if (query[key] !== undefined) {
+      const value = parseInt(query[key]);
+      if (isNaN(value) || value < 0) {
+        return { error: `Invalid ${key}` };
+      }
+      filters[key] = value;
+    }
+  }
+  
+  if (query.aspect !== undefined) {
+    const aspect = parseAspect(query.aspect);
+    if (!aspect) {
+      return { error: 'Invalid aspect. Use "W:H" (e.g. 9:16) or a decimal ratio' };
+    }
+    filters.aspect = aspect;
+  }
+  
+  if (query.orientation) {
+    if (!ORIENTATIONS.includes(query.orientation)) {
+      return { error: `Invalid orientation. Use one of: ${ORIENTATIONS.join(', ')}` };
+    }
+    filters.orientation = query.orientation;
+  }
+  
+  if (query.tag) {
+    const tags = parseTagFilter(query.tag);
+    if (tags.length === 0) {
+      return { error: 'Invalid tag' };
+    }
+    filters.tags = tags;
+  }
+  
+  if (query.photographer) {
+    filters.photographer = String(query.photographer).trim().toLowerCase();
+  }
+  
+  return { filters };
+}
+
+// Without a configured secret, hashes only link a client until the next restart
+const CLIENT_HASH_SECRET = process.env.CLIENT_HASH_SECRET || randomBytes(32).toString('hex');
+
+/**
+ * Identify a client without keeping its IP: an HMAC of it under a server secret
+ * A plain hash of an IPv4 address can be reversed by hashing all of them.
+ */
+function clientHash(req) {
+  return createHmac('sha256', CLIENT_HASH_SECRET).update(String(req.ip)).digest('hex').slice(0, 24);
+}
+
+/**
+ * Default sort for a request: closest color first when filtering by hex color
+ */
+function defaultSort(filters) {
+  return filters.color && parseHex(filters.color) ? 'color' : 'popular';
+}
+
+/**
+ * Load one page of a wallpaper list and build the pagination envelope
+ * A cursor carries its own sort (and seed), so it wins over `sort`/`seed`
+ * @param {Object} query - Request query params
+ * @param {string} category - Category slug, or null for all
+ */
+async function loadWallpaperPage(query, category) {
+  const { filters, error } = parseListFilters(query);
+  if (error) {
+    return { error };
+  }
+  
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || !isValidCursor(cursor, filters)) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+  
+  const page = parseInt(query.page) || 1;
+  const limit = Math.min(parseInt(query.limit) || 20, 50); // Max 50
+  const sort = cursor?.sort || query.sort || defaultSort(filters); // popular, trending, newest, random, color
+  const seed = query.seed ? String(query.seed).slice(0, 64) : null;
+  
+  const { wallpapers, nextCursor, seed: usedSeed } = await getWallpapers({
+    page, limit, sort, cursor, seed, category, ...filters
+  });
+  const total = await getWallpaperCount({ category, ...filters });
+  
+  const pagination = {
+    limit,
+    total,
+    hasMore: nextCursor !== null,
+    nextCursor
+  };
+  
+  // Page numbers only mean something when paging without a cursor
+  if (!cursor) {
+    pagination.page = page;
+    pagination.totalPages = Math.ceil(total / limit);
+  }
+  
+  if (usedSeed) {
+    pagination.seed = usedSeed;
+  }
+  
+  return { data: wallpapers, pagination };
+}
+
 /**
  * GET /api/wallpapers
  * Get paginated list of wallpapers
- * Query params: page, limit, category, sort
+ * Query params: cursor, page, limit, category, sort, seed, color, tolerance,
+ *               device, minWidth, minHeight, aspect, orientation, tag, photographer
  */
 router.get('/', async (req, res) => {
   try {
+    const category = req.query.category || null;
+    const { data, pagination, error } = await loadWallpaperPage(req.query, category);
+    
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    res.json({
+      success: true,
+      data,
+      pagination
+    });
+  } catch (error) {
+    console.error('Error fetching wallpapers:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch wallpapers' 
+    });
+  }
+});
+
+/**
+ * GET /api/wallpapers/search
+ * Full-text search over title, tags and photographer
+ * Query params: q, page, limit, category, source
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    
+    if (!q) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Query parameter "q" is required' 
+      });
+    }
+    
     const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 20, 50); // Max 50
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
     const category = req.query.category || null;
-    const sort = req.query.sort || 'popular'; // popular, newest, random
+    const source = req.query.source || null;
     
-    const wallpapers = await getWallpapers({ page, limit, category, sort });
-    const total = await getWallpaperCount(category);
+    const wallpapers = await searchWallpapers({ q, page, limit, category, source });
+    const total = await getSearchCount({ q, category, source });
     const totalPages = Math.ceil(total / limit);
     
     res.json({
       success: true,
       data: wallpapers,
+      query: q,
       pagination: {
         page,
         limit,
@@ -38,33 +233,31 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error fetching wallpapers:', error);
+    console.error('Error searching wallpapers:', error);
     res.status(500).json({ 
       success: false, 
-      error: 'Failed to fetch wallpapers' 
+      error: 'Failed to search wallpapers' 
     });
   }
 });
 
 /**
- * GET /api/wallpapers/category/:slug
- * Get wallpapers by category
+ * GET /api/wallpapers/featured
+ * The featured feed: editors' picks in their set order, then curated ones
+ * Query params: page, limit (default 20, max 50)
  */
-router.get('/category/:slug', async (req, res) => {
+router.get('/featured', async (req, res) => {
   try {
-    const { slug } = req.params;
-    const page = parseInt(req.query.page) || 1;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
-    const sort = req.query.sort || 'popular';
     
-    const wallpapers = await getWallpapers({ page, limit, category: slug, sort });
-    const total = await getWallpaperCount(slug);
+    const wallpapers = await getFeaturedWallpapers({ page, limit });
+    const total = await getFeaturedCount();
     const totalPages = Math.ceil(total / limit);
     
     res.json({
       success: true,
       data: wallpapers,
-      category: slug,
       pagination: {
         page,
         limit,
@@ -73,6 +266,104 @@ router.get('/category/:slug', async (req, res) => {
         hasMore: page < totalPages
       }
     });
+  } catch (error) {
+    console.error('Error fetching featured wallpapers:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch featured wallpapers' 
+    });
+  }
+});
+
+/**
+ * GET /api/wallpapers/daily
+ * The wallpaper of the day, the same for every client until midnight UTC
+ */
+router.get('/daily', async (req, res) => {
+  try {
+    const daily = await pickDailyWallpaper();
+    
+    if (!daily?.wallpaper) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No wallpaper of the day yet' 
+      });
+    }
+    
+    const nextChange = new Date(`${daily.date}T00:00:00.000Z`);
+    nextChange.setUTCDate(nextChange.getUTCDate() + 1);
+    
+    res.json({
+      success: true,
+      data: {
+        date: daily.date,
+        wallpaper: daily.wallpaper,
+        next_change_at: nextChange.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching wallpaper of the day:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch wallpaper of the day' 
+    });
+  }
+});
+
+/**
+ * GET /api/wallpapers/daily/history
+ * Past wallpapers of the day, newest first (today included)
+ * Query params: page, limit (default 30, max 100)
+ */
+router.get('/daily/history', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    
+    const { days, total } = await getDailyHistory({ page, limit, until: utcDate() });
+    const totalPages = Math.ceil(total / limit);
+    
+    res.json({
+      success: true,
+      data: days,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching wallpaper of the day history:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch wallpaper of the day history' 
+    });
+  }
+});
+
+/**
+ * GET /api/wallpapers/category/:slug
+ * Get wallpapers by category
+ * Query params: cursor, page, limit, sort, seed, color, tolerance,
+ *               device, minWidth, minHeight, aspect, orientation, tag, photographer
+ */
+router.get('/category/:slug', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { data, pagination, error } = await loadWallpaperPage(req.query, slug);
+    
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    res.json({
+      success: true,
+      data,
+      category: slug,
+      pagination
+    });
   } catch (error) {
     console.error('Error fetching category wallpapers:', error);
     res.status(500).json({ 
@@ -115,7 +406,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/wallpapers/:id/download
  * Track a download (increment count)
  */
-router.post('/:id/download', async (req, res) => {
+router.post('/:id/download', rateLimit('download'), async (req, res) => {
   try {
     const { id } = req.params;
     const wallpaper = await getWallpaperById(id);
@@ -127,12 +418,14 @@ router.post('/:id/download', async (req, res) => {
       });
     }
     
-    // Increment local download count
+    // Increment local download count and log the event for trending and similar wallpapers
     await incrementDownloadCount(id);
+    await recordDownloadEvent(wallpaper, clientHash(req));
     
-    // Track download with Unsplash (if from Unsplash)
-    if (wallpaper.source === 'unsplash' && wallpaper.external_id) {
-      await unsplash.trackDownload(wallpaper.external_id);
+    // Track download with the source provider (required by Unsplash's guidelines)
+    const provider = getProvider(wallpaper.source);
+    if (provider && wallpaper.external_id) {
+      await provider.trackDownload(wallpaper.external_id);
     }
     
     res.json({
@@ -149,9 +442,66 @@ router.post('/:id/download', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/wallpapers/:id/report
+ * Report a wallpaper to the moderators
+ * Body: { reason, details? } where reason is one of REPORT_REASONS
+ */
+router.post('/:id/report', rateLimit('report'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, details } = req.body || {};
+    
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `reason must be one of: ${REPORT_REASONS.join(', ')}` 
+      });
+    }
+    
+    if (details !== undefined && (typeof details !== 'string' || details.length > 1000)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'details must be text of at most 1000 characters' 
+      });
+    }
+    
+    const wallpaper = await getWallpaperById(id);
+    
+    if (!wallpaper) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Wallpaper not found' 
+      });
+    }
+    
+    // Only a keyed hash of the client's IP is kept, to ignore repeat reports
+    const { report, created } = await createReport({
+      wallpaper_id: id,
+      reason,
+      details: details?.trim() || undefined,
+      reporter: clientHash(req)
+    });
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Report received' : 'Already reported',
+      data: { id: report._id, status: report.status }
+    });
+  } catch (error) {
+    console.error('Error reporting wallpaper:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to report wallpaper' 
+    });
+  }
+});
+
 /**
  * GET /api/wallpapers/:id/similar
- * Get similar wallpapers (same category)
+ * Get the most similar wallpapers, ranked by shared tags, color, aspect ratio,
+ * photographer, co-downloads and category; each has a `similarity` score (0-1)
+ * Query params: limit (default 10, max 20)
  */
 router.get('/:id/similar', async (req, res) => {
   try {
@@ -167,7 +517,7 @@ router.get('/:id/similar', async (req, res) => {
       });
     }
     
-    const similarWallpapers = await getSimilarWallpapers(id, wallpaper.category, limit);
+    const similarWallpapers = await findSimilarWallpapers(wallpaper, { limit });
     
     res.json({
       success: true,
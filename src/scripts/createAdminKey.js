@@ -0,0 +1,37 @@
+/**
+ * Create an admin API key from the command line
+ * Usage: npm run admin:create-key -- <name> [scope...]
+ * Needed to bootstrap the first key, since the key endpoints require one.
+ */
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { createAdminKey } from '../services/adminKeys.js';
+import { ADMIN_SCOPES } from '../models/AdminKey.js';
+
+const [name = 'cli', ...scopeArgs] = process.argv.slice(2);
+const scopes = scopeArgs.length > 0 ? scopeArgs : ['*'];
+
+const invalid = scopes.filter(s => !ADMIN_SCOPES.includes(s));
+if (invalid.length > 0) {
+  console.error(`❌ Unknown scope(s): ${invalid.join(', ')}. Valid: ${ADMIN_SCOPES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!process.env.MONGODB_URI) {
+  console.error('❌ MONGODB_URI is not defined in .env');
+  process.exit(1);
+}
+
+try {
+  await mongoose.connect(process.env.MONGODB_URI);
+  const { key, token } = await createAdminKey({ name, scopes });
+  
+  console.log(`✅ Created admin key "${key.name}" (${key.key_id}) with scopes: ${key.scopes.join(', ')}`);
+  console.log(`🔑 Token (shown once, store it safely):\n\n   ${token}\n`);
+} catch (error) {
+  console.error('❌ Failed to create admin key:', error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
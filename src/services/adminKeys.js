@@ -0,0 +1,111 @@
+import { randomBytes, createHash, timingSafeEqual } from 'crypto';
+import AdminKey from '../models/AdminKey.js';
+
+// Tokens look like: iwk_<key_id>_<secret>
+const TOKEN_PREFIX = 'iwk';
+
+// Avoid a write on every request just to bump last_used_at
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Strip the secret hash before returning a key to callers
+ */
+function toPublicKey(key) {
+  const { secret_hash, ...rest } = key;
+  return rest;
+}
+
+/**
+ * Create a new admin API key
+ * The returned token is shown once; only its hash is stored.
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human-readable label
+ * @param {string[]} options.scopes - Granted scopes (see ADMIN_SCOPES)
+ * @param {Date} options.expiresAt - Optional expiry
+ * @returns {Promise<{ key: Object, token: string }>}
+ */
+export async function createAdminKey({ name, scopes = ['*'], expiresAt = null }) {
+  const keyId = randomBytes(6).toString('hex');
+  const secret = randomBytes(24).toString('base64url');
+  
+  const key = await AdminKey.create({
+    key_id: keyId,
+    name,
+    secret_hash: hashSecret(secret),
+    scopes,
+    expires_at: expiresAt
+  });
+  
+  return {
+    key: toPublicKey(key.toObject()),
+    token: `${TOKEN_PREFIX}_${keyId}_${secret}`
+  };
+}
+
+/**
+ * Verify an admin token
+ * @param {string} token - Token from the Authorization / X-API-Key header
+ * @returns {Promise<Object | null>} The key (without hash) if valid, active and unexpired
+ */
+export async function verifyAdminToken(token) {
+  const match = /^iwk_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(token || '');
+  if (!match) return null;
+  
+  const [, keyId, secret] = match;
+  const key = await AdminKey.findOne({ key_id: keyId }).lean();
+  if (!key) return null;
+  
+  const expected = Buffer.from(key.secret_hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  if (key.revoked_at) return null;
+  if (key.expires_at && key.expires_at <= new Date()) return null;
+  
+  const now = new Date();
+  if (!key.last_used_at || now - key.last_used_at > LAST_USED_RESOLUTION_MS) {
+    await AdminKey.updateOne({ _id: key._id }, { last_used_at: now });
+  }
+  
+  return toPublicKey(key);
+}
+
+/**
+ * Check whether a key grants a scope
+ */
+export function hasScope(key, scope) {
+  return key.scopes.includes('*') || key.scopes.includes(scope);
+}
+
+/**
+ * List all admin keys (without secret hashes)
+ */
+export async function listAdminKeys() {
+  return AdminKey.find({}, { secret_hash: 0 }).sort({ created_at: -1 }).lean();
+}
+
+/**
+ * Revoke an admin key by its key_id
+ * @returns {Promise<Object | null>} The revoked key, or null if not found
+ */
+export async function revokeAdminKey(keyId) {
+  return AdminKey.findOneAndUpdate(
+    { key_id: keyId },
+    { revoked_at: new Date() },
+    { new: true, projection: { secret_hash: 0 } }
+  ).lean();
+}
+
+export default {
+  createAdminKey,
+  verifyAdminToken,
+  hasScope,
+  listAdminKeys,
+  revokeAdminKey
+};
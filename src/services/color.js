@@ -0,0 +1,137 @@
+/**
+ * Color helpers
+ * Converts the hex colors reported by providers into CIELAB (for perceptual
+ * distance) and a named bucket (for fast exact-match filtering).
+ */
+
+export const COLOR_BUCKETS = [
+  'red', 'orange', 'yellow', 'green', 'teal', 'blue',
+  'purple', 'pink', 'brown', 'black', 'white', 'gray'
+];
+
+/**
+ * Parse a hex color string (#rgb or #rrggbb, "#" optional)
+ * @param {string} hex - Hex color
+ * @returns {{ r: number, g: number, b: number } | null}
+ */
+export function parseHex(hex) {
+  if (typeof hex !== 'string') return null;
+
+  let value = hex.trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(value)) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+
+  return {
+    r: parseInt(value.slice(0, 2), 16),
+    g: parseInt(value.slice(2, 4), 16),
+    b: parseInt(value.slice(4, 6), 16)
+  };
+}
+
+/**
+ * Convert sRGB to CIELAB (D65 white point)
+ */
+export function rgbToLab({ r, g, b }) {
+  const linear = c => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  };
+
+  const R = linear(r);
+  const G = linear(g);
+  const B = linear(b);
+
+  const x = (R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047;
+  const y = (R * 0.2126 + G * 0.7152 + B * 0.0722) / 1.0;
+  const z = (R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883;
+
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + 16 / 116);
+
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return {
+    l: round((116 * fy) - 16),
+    a: round(500 * (fx - fy)),
+    b: round(200 * (fy - fz))
+  };
+}
+
+/**
+ * Perceptual distance between two Lab colors (CIE76 delta E)
+ */
+export function deltaE(lab1, lab2) {
+  return Math.sqrt(
+    Math.pow(lab1.l - lab2.l, 2) +
+    Math.pow(lab1.a - lab2.a, 2) +
+    Math.pow(lab1.b - lab2.b, 2)
+  );
+}
+
+/**
+ * Classify an RGB color into one of COLOR_BUCKETS
+ */
+export function rgbToBucket({ r, g, b }) {
+  const max = Math.max(r, g, b) / 255;
+  const min = Math.min(r, g, b) / 255;
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+
+  if (lightness < 0.12) return 'black';
+  if (lightness > 0.9 && saturation < 0.5) return 'white';
+  if (saturation < 0.15) return lightness > 0.75 ? 'white' : lightness < 0.2 ? 'black' : 'gray';
+
+  let hue;
+  const R = r / 255;
+  const G = g / 255;
+  const B = b / 255;
+  if (max === R) {
+    hue = 60 * (((G - B) / delta) % 6);
+  } else if (max === G) {
+    hue = 60 * (((B - R) / delta) + 2);
+  } else {
+    hue = 60 * (((R - G) / delta) + 4);
+  }
+  if (hue < 0) hue += 360;
+
+  if (hue < 15 || hue >= 345) return 'red';
+  if (hue < 45) return lightness < 0.4 ? 'brown' : 'orange';
+  if (hue < 70) return lightness < 0.3 ? 'brown' : 'yellow';
+  if (hue < 165) return 'green';
+  if (hue < 195) return 'teal';
+  if (hue < 255) return 'blue';
+  if (hue < 290) return 'purple';
+  return 'pink';
+}
+
+/**
+ * Derive the stored color fields for a wallpaper from its hex color
+ * @param {string} hex - Hex color as reported by the provider
+ * @returns {{ color_lab: Object, color_bucket: string } | null}
+ */
+export function deriveColorFields(hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) return null;
+
+  return {
+    color_lab: rgbToLab(rgb),
+    color_bucket: rgbToBucket(rgb)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export default {
+  COLOR_BUCKETS,
+  parseHex,
+  rgbToLab,
+  deltaE,
+  rgbToBucket,
+  deriveColorFields
+};
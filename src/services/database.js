@@ -1,5 +1,31 @@
+import mongoose from 'mongoose';
 import Wallpaper from '../models/Wallpaper.js';
 import Category from '../models/Category.js';
+import DownloadEvent from '../models/DownloadEvent.js';
+import FetchCursor from '../models/FetchCursor.js';
+import JobRun from '../models/JobRun.js';
+import DuplicateCluster from '../models/DuplicateCluster.js';
+import Report from '../models/Report.js';
+import DailyWallpaper from '../models/DailyWallpaper.js';
+import { COLOR_BUCKETS, parseHex, rgbToLab, deriveColorFields } from './color.js';
+import { ASPECT_TOLERANCE, getDeviceProfile, getOrientation } from './devices.js';
+import { PHASH_BANDS, phashBands, isDistinctivePhash } from './phash.js';
+import { deriveTags, matchCategory, MANGLED_TAGS } from './tags.js';
+import { photographerSlug } from './photographers.js';
+import {
+  createRandomKey,
+  createSeed,
+  seededRankExpr,
+  encodeCursor,
+  buildKeysetFilter,
+  toSortSpec
+} from './pagination.js';
+
+// Default max Lab distance (delta E) for hex color filters
+export const DEFAULT_COLOR_TOLERANCE = 20;
+
+// Wallpapers that appear in listings, search, featured and similar results
+const LISTED = { duplicate_of: null, hidden_at: null };
 
 /**
  * Initialize the database
@@ -25,6 +51,14 @@ export async function initializeDatabase() {
     await Category.insertMany(defaultCategories);
     console.log('✅ Default categories seeded');
   }
+  
+  await backfillDerivedFields();
+  await backfillPhotographerSlugs();
+  await backfillCategories();
+  await backfillCuratedCategories();
+  await backfillTags();
+  await backfillDuplicateReview();
+  await dropDownloadEventExpiry();
 }
 
 /**
@@ -35,75 +69,301 @@ export async function getCategories() {
 }
 
 /**
- * Get wallpapers with pagination
+ * Compute the fields we store alongside provider data (color lookup, aspect ratio, orientation, photographer slug)
+ * @param {Object} doc - Wallpaper data with color/width/height/source/photographer
+ */
+function deriveWallpaperFields(doc) {
+  const derived = { ...deriveColorFields(doc.color) };
+  
+  if (doc.width > 0 && doc.height > 0) {
+    derived.aspect_ratio = Math.round((doc.width / doc.height) * 10000) / 10000;
+    derived.orientation = getOrientation(doc.width, doc.height);
+  }
+  
+  if (doc.phash) {
+    derived.phash_bands = phashBands(doc.phash);
+  }
+  
+  const slug = photographerSlug(doc.source, doc.photographer, doc.photographer_url);
+  if (slug) {
+    derived.photographer_slug = slug;
+  }
+  
+  return derived;
+}
+
+/**
+ * Build the Mongo filter shared by wallpaper listing and counting
+ * @param {Object} filters - Listing filters
+ * @param {string} filters.category - Optional category slug
+ * @param {string} filters.color - Optional hex color or named bucket
+ * @param {number} filters.tolerance - Max Lab distance for hex colors
+ * @param {string} filters.device - Optional device profile slug (see devices.js)
+ * @param {number} filters.minWidth - Optional minimum width in pixels
+ * @param {number} filters.minHeight - Optional minimum height in pixels
+ * @param {number} filters.aspect - Optional target aspect ratio (width / height)
+ * @param {string} filters.orientation - Optional 'portrait', 'landscape' or 'square'
+ * @param {string[]} filters.tags - Optional normalized tags, all required
+ * @param {string} filters.photographer - Optional photographer slug
+ */
+function buildWallpaperQuery({
+  category = null,
+  color = null,
+  tolerance = DEFAULT_COLOR_TOLERANCE,
+  device = null,
+  minWidth = null,
+  minHeight = null,
+  aspect = null,
+  orientation = null,
+  tags = null,
+  photographer = null
+} = {}) {
+  const query = { ...LISTED };
+  
+  if (category) {
+    query.categories = category;
+  }
+  
+  if (tags?.length) {
+    query.tags = { $all: tags };
+  }
+  
+  if (photographer) {
+    query.photographer_slug = photographer;
+  }
+  
+  if (orientation) {
+    query.orientation = orientation;
+  }
+  
+  // A device profile sets minimum dimensions and a target aspect ratio,
+  // explicit params can only tighten them
+  const profile = device ? getDeviceProfile(device) : null;
+  if (profile) {
+    minWidth = Math.max(minWidth || 0, profile.width);
+    minHeight = Math.max(minHeight || 0, profile.height);
+    aspect = aspect || profile.width / profile.height;
+  }
+  
+  if (minWidth) {
+    query.width = { $gte: minWidth };
+  }
+  
+  if (minHeight) {
+    query.height = { $gte: minHeight };
+  }
+  
+  if (aspect) {
+    query.aspect_ratio = {
+      $gte: aspect * (1 - ASPECT_TOLERANCE),
+      $lte: aspect * (1 + ASPECT_TOLERANCE)
+    };
+  }
+  
+  if (color) {
+    if (COLOR_BUCKETS.includes(color)) {
+      query.color_bucket = color;
+    } else {
+      const target = colorTarget(color);
+      if (target) {
+        // Bounding box first so the compound Lab index narrows the scan,
+        // then the exact spherical distance check
+        query['color_lab.l'] = { $gte: target.l - tolerance, $lte: target.l + tolerance };
+        query['color_lab.a'] = { $gte: target.a - tolerance, $lte: target.a + tolerance };
+        query['color_lab.b'] = { $gte: target.b - tolerance, $lte: target.b + tolerance };
+        query.$expr = { $lte: [colorDistanceExpr(target), tolerance] };
+      }
+    }
+  }
+  
+  return query;
+}
+
+/**
+ * Resolve a hex color filter to its Lab coordinates
+ */
+function colorTarget(color) {
+  const rgb = parseHex(color);
+  return rgb ? rgbToLab(rgb) : null;
+}
+
+/**
+ * Aggregation expression for the Lab distance to a target color
+ */
+function colorDistanceExpr(target) {
+  return {
+    $sqrt: {
+      $add: [
+        { $pow: [{ $subtract: ['$color_lab.l', target.l] }, 2] },
+        { $pow: [{ $subtract: ['$color_lab.a', target.a] }, 2] },
+        { $pow: [{ $subtract: ['$color_lab.b', target.b] }, 2] }
+      ]
+    }
+  };
+}
+
+// Sort keys per sort mode; the trailing _id makes every key unique for cursors
+const SORT_FIELDS = {
+  popular: [['downloads', -1], ['created_at', -1], ['_id', 1]],
+  trending: [['trending_score', -1], ['created_at', -1], ['_id', 1]],
+  newest: [['created_at', -1], ['_id', -1]],
+  color: [['color_distance', 1], ['downloads', -1], ['_id', 1]],
+  random: [['random_rank', 1], ['_id', 1]]
+};
+
+/**
+ * Sort mode a listing actually uses
+ * Unknown names, and color without a hex color filter, fall back to popular
+ * @param {string} sort - Requested sort
+ * @param {Object} filters - Listing filters (for the color)
+ */
+export function resolveSort(sort, filters = {}) {
+  if (!Object.hasOwn(SORT_FIELDS, sort)) return 'popular';
+  if (sort === 'color' && !colorTarget(filters.color)) return 'popular';
+  return sort;
+}
+
+/**
+ * Whether a decoded cursor can continue a listing: its sort is used as is
+ * and it holds one value per sort key
+ * @param {Object} cursor - Decoded cursor (see pagination.js)
+ * @param {Object} filters - Listing filters
+ */
+export function isValidCursor(cursor, filters = {}) {
+  return resolveSort(cursor.sort, filters) === cursor.sort &&
+    cursor.values.length === SORT_FIELDS[cursor.sort].length;
+}
+
+/**
+ * Get a page of wallpapers
+ * Pages are addressed by an opaque cursor (preferred) or a legacy page number.
  * @param {Object} options - Query options
- * @param {number} options.page - Page number (1-indexed)
+ * @param {number} options.page - Page number (1-indexed), ignored when a cursor is given
  * @param {number} options.limit - Items per page
+ * @param {Object} options.cursor - Decoded cursor from the previous page (see pagination.js)
+ * @param {string} options.seed - Seed for sort=random; same seed gives the same order
  * @param {string} options.category - Optional category filter
- * @param {string} options.sort - Sort by: 'popular', 'newest', 'random'
+ * @param {string} options.color - Optional hex color (e.g. '#1e3a8a') or bucket name (e.g. 'blue')
+ * @param {number} options.tolerance - Max color distance when filtering by hex color
+ * @param {string} options.sort - Sort by: 'popular', 'trending', 'newest', 'random', 'color'
+ * @returns {Promise<{ wallpapers: Object[], nextCursor: string | null, seed: string | null }>}
  */
-export async function getWallpapers({ page = 1, limit = 20, category = null, sort = 'popular' }) {
-  // If sort is random, use aggregation pipeline
+export async function getWallpapers({ page = 1, limit = 20, sort = 'popular', cursor = null, seed = null, ...filters }) {
+  sort = resolveSort(sort, filters);
+  // Closest color first (only meaningful with a hex color filter)
+  const target = sort === 'color' ? colorTarget(filters.color) : null;
+  
+  // Random feeds are a seeded shuffle so they can be paged without repeats
   if (sort === 'random') {
-    const pipeline = [];
-    
-    // Match stage
-    if (category) {
-      pipeline.push({ $match: { category } });
-    }
-    
-    // Sample stage (Random selection)
-    // Note: $sample can be slow on very large collections (millions), but fine here
-    // For pagination effectively with random, we'd need a seed, but basic $sample 
-    // works for "refresh to get new random"
-    pipeline.push({ $sample: { size: limit } });
-    
-    return Wallpaper.aggregate(pipeline);
+    seed = cursor?.seed || seed || createSeed();
+  } else {
+    seed = null;
   }
-
-  // Standard query for non-random sorts
-  const query = {};
   
-  if (category) {
-    query.category = category;
+  const sortFields = SORT_FIELDS[sort];
+  const pipeline = [{ $match: buildWallpaperQuery(filters) }];
+  
+  if (target) {
+    pipeline.push({ $addFields: { color_distance: colorDistanceExpr(target) } });
+  }
+  if (sort === 'random') {
+    pipeline.push({ $addFields: { random_rank: seededRankExpr(seed) } });
   }
   
-  let sortOption = {};
+  if (cursor) {
+    pipeline.push({ $match: buildKeysetFilter(sortFields, cursor.values) });
+  }
+  
+  pipeline.push({ $sort: toSortSpec(sortFields) });
   
-  switch (sort) {
-    case 'newest':
-      sortOption = { created_at: -1 };
-      break;
-    case 'popular':
-    default:
-      sortOption = { downloads: -1, created_at: -1 };
+  if (!cursor && page > 1) {
+    pipeline.push({ $skip: (page - 1) * limit });
   }
   
-  const skip = (page - 1) * limit;
+  // Fetch one extra to know whether there is a next page
+  pipeline.push({ $limit: limit + 1 });
   
-  return Wallpaper.find(query)
-    .sort(sortOption)
-    .skip(skip)
-    .limit(limit)
-    .lean();
+  const results = await Wallpaper.aggregate(pipeline);
+  const wallpapers = results.slice(0, limit);
+  const last = wallpapers[wallpapers.length - 1];
+  
+  const nextCursor = results.length > limit
+    ? encodeCursor({ sort, seed, values: sortFields.map(([field]) => last[field]) })
+    : null;
+  
+  // random_rank is internal to the seeded order
+  if (sort === 'random') {
+    for (const w of wallpapers) {
+      delete w.random_rank;
+    }
+  }
+  
+  return { wallpapers, nextCursor, seed };
 }
 
 /**
  * Get total wallpaper count (for pagination)
+ * @param {Object} filters - Same filters accepted by getWallpapers
  */
-export async function getWallpaperCount(category = null) {
-  const query = {};
+export async function getWallpaperCount(filters = {}) {
+  return Wallpaper.countDocuments(buildWallpaperQuery(filters));
+}
+
+/**
+ * Build the filter used by full-text search
+ * @param {string} q - Search text
+ * @param {string} category - Optional category filter
+ * @param {string} source - Optional source filter
+ */
+function buildSearchQuery(q, category, source) {
+  const query = { $text: { $search: q }, ...LISTED };
   if (category) {
-    query.category = category;
+    query.categories = category;
+  }
+  if (source) {
+    query.source = source;
   }
-  return Wallpaper.countDocuments(query);
+  return query;
+}
+
+/**
+ * Search wallpapers by title, tags and photographer, ranked by relevance
+ * @param {Object} options - Query options
+ * @param {string} options.q - Search text
+ * @param {number} options.page - Page number (1-indexed)
+ * @param {number} options.limit - Items per page
+ * @param {string} options.category - Optional category filter
+ * @param {string} options.source - Optional source filter
+ */
+export async function searchWallpapers({ q, page = 1, limit = 20, category = null, source = null }) {
+  const skip = (page - 1) * limit;
+
+  return Wallpaper.find(
+    buildSearchQuery(q, category, source),
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' }, downloads: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Get total search result count (for pagination)
+ */
+export async function getSearchCount({ q, category = null, source = null }) {
+  return Wallpaper.countDocuments(buildSearchQuery(q, category, source));
 }
 
 /**
  * Get a single wallpaper by ID
  */
-export async function getWallpaperById(id) {
-  return Wallpaper.findById(id).lean();
+export async function getWallpaperById(id, { includeHidden = false } = {}) {
+  const query = { _id: id };
+  if (!includeHidden) {
+    query.hidden_at = null;
+  }
+  return Wallpaper.findOne(query).lean();
 }
 
 /**
@@ -125,13 +385,49 @@ export async function insertWallpaper(wallpaperData) {
     }
   }
 
+  Object.assign(wallpaperData, deriveWallpaperFields(wallpaperData));
+
   return Wallpaper.findOneAndUpdate(
     { _id: wallpaperData._id },
-    wallpaperData,
+    toUpsert(wallpaperData),
     { upsert: true, new: true, setDefaultsOnInsert: true }
   );
 }
 
+/**
+ * Build the upsert for a wallpaper from a provider
+ * Category membership is a set: fetching the same image under another
+ * category adds that category instead of replacing the first one, which
+ * stays the wallpaper's primary `category`.
+ */
+function toUpsert(doc) {
+  const { category, ...fields } = doc;
+  const update = { $set: fields };
+  
+  if (category) {
+    update.$setOnInsert = { category };
+    update.$addToSet = { categories: category };
+  }
+  
+  return update;
+}
+
+/**
+ * Add a category to wallpapers we already have (found again under it)
+ * @param {string[]} ids - Wallpaper IDs
+ * @param {string} category - Category slug
+ * @returns {Promise<number>} Wallpapers that gained the category
+ */
+export async function addWallpapersToCategory(ids, category) {
+  if (ids.length === 0) return 0;
+  
+  const result = await Wallpaper.updateMany(
+    { _id: { $in: ids } },
+    { $addToSet: { categories: category } }
+  );
+  return result.modifiedCount;
+}
+
 /**
  * Insert multiple wallpapers
  */
@@ -151,11 +447,13 @@ export async function insertWallpapers(wallpapers) {
         doc.tags = [];
       }
     }
+    // Precompute color lookup and aspect ratio
+    Object.assign(doc, deriveWallpaperFields(doc));
     
     return {
       updateOne: {
         filter: { _id: doc._id },
-        update: { $set: doc },
+        update: toUpsert(doc),
         upsert: true
       }
     };
@@ -174,6 +472,130 @@ export async function incrementDownloadCount(id) {
   return Wallpaper.findByIdAndUpdate(id, { $inc: { downloads: 1 } });
 }
 
+/**
+ * Record a download event (feeds trending scores, analytics and co-downloads)
+ * @param {Object} wallpaper - The downloaded wallpaper
+ * @param {string} client - Optional hash identifying the downloading client
+ */
+export async function recordDownloadEvent(wallpaper, client = null) {
+  return DownloadEvent.create({
+    wallpaper_id: wallpaper._id,
+    category: wallpaper.category,
+    source: wallpaper.source,
+    client
+  });
+}
+
+/**
+ * Recompute trending scores from recent download events
+ * Each download counts 0.5^(age / halfLife), so a download one half-life ago
+ * is worth half of one made now. Events older than the window are ignored.
+ * @param {Object} options - Scoring options
+ * @param {number} options.halfLifeHours - Decay half-life
+ * @param {number} options.windowDays - How far back to look
+ * @returns {Promise<number>} Number of wallpapers with a non-zero score
+ */
+export async function updateTrendingScores({ halfLifeHours = 24, windowDays = 14 } = {}) {
+  const now = new Date();
+  const since = new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000);
+  const halfLifeMs = halfLifeHours * 60 * 60 * 1000;
+  
+  const scores = await DownloadEvent.aggregate([
+    { $match: { created_at: { $gte: since } } },
+    {
+      $group: {
+        _id: '$wallpaper_id',
+        score: {
+          $sum: {
+            $pow: [0.5, { $divide: [{ $subtract: [now, '$created_at'] }, halfLifeMs] }]
+          }
+        }
+      }
+    }
+  ]);
+  
+  const bulkOps = scores.map(({ _id, score }) => ({
+    updateOne: {
+      filter: { _id },
+      update: { $set: { trending_score: Math.round(score * 10000) / 10000 } }
+    }
+  }));
+  
+  // Anything that fell out of the window drops back to zero. $ne also catches
+  // wallpapers saved before the field existed, which a numeric keyset filter
+  // would otherwise never match past the first page.
+  await Wallpaper.updateMany(
+    { trending_score: { $ne: 0 }, _id: { $nin: scores.map(s => s._id) } },
+    { $set: { trending_score: 0 } }
+  );
+  
+  if (bulkOps.length > 0) {
+    await Wallpaper.bulkWrite(bulkOps);
+  }
+  
+  return scores.length;
+}
+
+/**
+ * Aggregate download events for analytics
+ * @param {Object} options - Query options
+ * @param {string} options.groupBy - 'day', 'category', 'source' or 'wallpaper'
+ * @param {Date} options.from - Start of range (inclusive)
+ * @param {Date} options.to - End of range (exclusive)
+ * @param {string} options.category - Optional category filter
+ * @param {string} options.source - Optional source filter
+ * @param {number} options.limit - Max groups for 'wallpaper' (top downloaded first)
+ * @returns {Promise<{ total: number, groups: Object[] }>}
+ */
+export async function getDownloadStats({ groupBy = 'day', from, to, category = null, source = null, limit = 50 }) {
+  const match = { created_at: { $gte: from, $lt: to } };
+  if (category) {
+    match.category = category;
+  }
+  if (source) {
+    match.source = source;
+  }
+  
+  const groupKeys = {
+    day: { $dateToString: { format: '%Y-%m-%d', date: '$created_at', timezone: 'UTC' } },
+    category: '$category',
+    source: '$source',
+    wallpaper: '$wallpaper_id'
+  };
+  
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: groupKeys[groupBy], downloads: { $sum: 1 } } },
+    { $sort: groupBy === 'day' ? { _id: 1 } : { downloads: -1, _id: 1 } }
+  ];
+  
+  if (groupBy === 'wallpaper') {
+    pipeline.push(
+      { $limit: limit },
+      { $lookup: { from: Wallpaper.collection.name, localField: '_id', foreignField: '_id', as: 'wallpaper' } },
+      {
+        $project: {
+          downloads: 1,
+          title: { $first: '$wallpaper.title' },
+          category: { $first: '$wallpaper.category' },
+          source: { $first: '$wallpaper.source' },
+          url_thumb: { $first: '$wallpaper.url_thumb' }
+        }
+      }
+    );
+  }
+  
+  const [groups, total] = await Promise.all([
+    DownloadEvent.aggregate(pipeline),
+    DownloadEvent.countDocuments(match)
+  ]);
+  
+  return {
+    total,
+    groups: groups.map(({ _id, ...rest }) => ({ [groupBy]: _id, ...rest }))
+  };
+}
+
 /**
  * Check if wallpaper exists by external ID and source
  */
@@ -183,13 +605,157 @@ export async function wallpaperExists(externalId, source) {
 }
 
 /**
- * Get featured wallpapers
+ * Find which of the given wallpaper IDs are already stored
+ * @param {string[]} ids - Wallpaper IDs (e.g. "pexels_123")
+ * @returns {Promise<Set<string>>}
  */
-export async function getFeaturedWallpapers(limit = 10) {
-  return Wallpaper.find({ is_featured: true })
-    .sort({ downloads: -1 })
-    .limit(limit)
-    .lean();
+export async function getExistingWallpaperIds(ids) {
+  if (ids.length === 0) return new Set();
+  
+  const existing = await Wallpaper.find({ _id: { $in: ids } }).select('_id').lean();
+  return new Set(existing.map(w => w._id));
+}
+
+/**
+ * Filter for featured wallpapers by where they are in their featured window
+ * @param {string} status - 'active' (live now), 'scheduled', 'expired' or 'all'
+ * @param {Date} now - Reference time
+ */
+function featuredQuery(status = 'active', now = new Date()) {
+  const query = { is_featured: true, ...LISTED };
+  
+  if (status === 'active') {
+    query.$and = [
+      { $or: [{ featured_from: null }, { featured_from: { $lte: now } }] },
+      { $or: [{ featured_until: null }, { featured_until: { $gt: now } }] }
+    ];
+  } else if (status === 'scheduled') {
+    query.featured_from = { $gt: now };
+  } else if (status === 'expired') {
+    query.featured_until = { $lte: now };
+  }
+  
+  return query;
+}
+
+/**
+ * Get featured wallpapers in feed order
+ * Ordered ones first (featured_order ascending), then the rest, most recently featured first
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-indexed)
+ * @param {number} options.limit - Items per page
+ * @param {string} options.status - 'active' (default), 'scheduled', 'expired' or 'all'
+ */
+export async function getFeaturedWallpapers({ page = 1, limit = 20, status = 'active' } = {}) {
+  return Wallpaper.aggregate([
+    { $match: featuredQuery(status) },
+    { $addFields: { featured_rank: { $ifNull: ['$featured_order', Number.MAX_SAFE_INTEGER] } } },
+    { $sort: { featured_rank: 1, featured_at: -1, downloads: -1, _id: 1 } },
+    { $skip: (page - 1) * limit },
+    { $limit: limit },
+    { $project: { featured_rank: 0 } }
+  ]);
+}
+
+/**
+ * Count featured wallpapers (for pagination)
+ * @param {string} status - Same as getFeaturedWallpapers
+ */
+export async function getFeaturedCount(status = 'active') {
+  return Wallpaper.countDocuments(featuredQuery(status));
+}
+
+/**
+ * Feature a wallpaper, or change its window and order
+ * Only the settings given are changed; null clears one. An already featured
+ * wallpaper keeps its featured_at, so editing its window doesn't move it up.
+ * A curated wallpaper picked by an editor loses the curated end date unless
+ * `until` is given.
+ * @param {string} id - Wallpaper ID
+ * @param {Object} settings - Feature settings, each optional
+ * @param {Date | null} settings.from - Featured from (null: now)
+ * @param {Date | null} settings.until - Featured until (null: open-ended)
+ * @param {number | null} settings.order - Position in the feed from 1 (null: unordered)
+ * @returns {Promise<Object | null>} The updated wallpaper, or null if it isn't listed
+ */
+export async function featureWallpaper(id, settings = {}) {
+  const fields = { from: 'featured_from', until: 'featured_until', order: 'featured_order' };
+  const isEditorPick = { $and: [{ $eq: ['$is_featured', true] }, { $eq: ['$featured_by', 'editor'] }] };
+  const update = {
+    is_featured: true,
+    featured_at: { $cond: [{ $eq: ['$is_featured', true] }, '$featured_at', new Date()] },
+    featured_until: { $cond: [isEditorPick, '$featured_until', '$$REMOVE'] },
+    featured_by: 'editor'
+  };
+  for (const [key, field] of Object.entries(fields)) {
+    if (settings[key] !== undefined) {
+      update[field] = settings[key];
+    }
+  }
+  
+  return Wallpaper.findOneAndUpdate(
+    { _id: id, ...LISTED },
+    [{ $set: update }],
+    { new: true, updatePipeline: true }
+  ).lean();
+}
+
+/**
+ * Take a wallpaper out of the featured feed
+ * @param {string} id - Wallpaper ID
+ * @returns {Promise<Object | null>} The updated wallpaper
+ */
+export async function unfeatureWallpaper(id) {
+  return Wallpaper.findByIdAndUpdate(
+    id,
+    {
+      $set: { is_featured: false },
+      $unset: { featured_from: 1, featured_until: 1, featured_order: 1, featured_at: 1, featured_by: 1 }
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Put featured wallpapers in the given order (positions 1, 2, ...)
+ * Other ordered featured wallpapers move after them, keeping their relative
+ * order, so no position is shared.
+ * @param {string[]} ids - Featured wallpaper IDs, first to last
+ * @returns {Promise<number>} Wallpapers reordered from `ids`
+ */
+export async function reorderFeatured(ids) {
+  if (ids.length === 0) return 0;
+  
+  const others = await Wallpaper.find(
+    { _id: { $nin: ids }, is_featured: true, featured_order: { $ne: null } },
+    { _id: 1 }
+  ).sort({ featured_order: 1, _id: 1 }).lean();
+  
+  const result = await Wallpaper.bulkWrite([...ids, ...others.map(w => w._id)].map((id, i) => ({
+    updateOne: {
+      filter: { _id: id, is_featured: true },
+      update: { $set: { featured_order: i + 1 } }
+    }
+  })));
+  return result.matchedCount - others.length;
+}
+
+/**
+ * Feature wallpapers found in a provider's curated/popular feed
+ * Editors' picks are left as they are; curated ones are featured until `until`
+ * (seeing one again extends it)
+ * @param {string[]} ids - Wallpaper IDs
+ * @param {Date} until - End of their featured window
+ * @returns {Promise<number>} Wallpapers featured
+ */
+export async function featureCuratedWallpapers(ids, until) {
+  if (ids.length === 0) return 0;
+  
+  const result = await Wallpaper.updateMany(
+    { _id: { $in: ids }, ...LISTED, $or: [{ is_featured: false }, { featured_by: { $ne: 'editor' } }] },
+    { $set: { is_featured: true, featured_by: 'curated', featured_until: until, featured_at: new Date() } }
+  );
+  return result.modifiedCount;
 }
 
 /**
@@ -199,43 +765,1149 @@ export async function updateCategoryCounts() {
   const categories = await Category.find();
   
   for (const cat of categories) {
-    const count = await Wallpaper.countDocuments({ category: cat.slug });
+    const count = await Wallpaper.countDocuments({ categories: cat.slug, ...LISTED });
     await Category.updateOne({ _id: cat._id }, { wallpaper_count: count });
   }
 }
 
 /**
- * Get category by slug
+ * Fill in derived fields for wallpapers saved before they existed
  */
-export async function getCategoryBySlug(slug) {
-  return Category.findOne({ slug }).lean();
+export async function backfillDerivedFields() {
+  const wallpapers = await Wallpaper.find(
+    {
+      $or: [
+        { color: { $ne: null }, color_bucket: { $exists: false } },
+        { width: { $gt: 0 }, height: { $gt: 0 }, orientation: { $exists: false } },
+        { photographer: { $nin: [null, '', 'Unknown'] }, photographer_slug: { $exists: false } },
+        { random_key: { $exists: false } }
+      ]
+    },
+    { color: 1, width: 1, height: 1, source: 1, photographer: 1, photographer_url: 1, random_key: 1 }
+  ).lean();
+  
+  const bulkOps = [];
+  for (const w of wallpapers) {
+    const fields = deriveWallpaperFields(w);
+    if (w.random_key === undefined) {
+      fields.random_key = createRandomKey();
+    }
+    if (Object.keys(fields).length > 0) {
+      bulkOps.push({ updateOne: { filter: { _id: w._id }, update: { $set: fields } } });
+    }
+  }
+  
+  if (bulkOps.length > 0) {
+    await Wallpaper.bulkWrite(bulkOps);
+    console.log(`🧮 Backfilled derived fields for ${bulkOps.length} wallpapers`);
+  }
 }
 
 /**
- * Get similar wallpapers (same category)
+ * Re-key photographers by their profile handle instead of their display name
+ * Slugs that no longer match what photographerSlug derives are rewritten, and
+ * "Unknown" placeholders lose theirs.
  */
-export async function getSimilarWallpapers(wallpaperId, category, limit = 10) {
-  // Using aggregation $sample for random selection which is efficient enough here
-  return Wallpaper.aggregate([
-    { $match: { category: category, _id: { $ne: wallpaperId } } },
-    { $sample: { size: limit } }
-  ]);
+export async function backfillPhotographerSlugs() {
+  const wallpapers = await Wallpaper.find(
+    { photographer_slug: { $ne: null } },
+    { source: 1, photographer: 1, photographer_url: 1, photographer_slug: 1 }
+  ).lean();
+  
+  const bulkOps = [];
+  for (const w of wallpapers) {
+    const slug = photographerSlug(w.source, w.photographer, w.photographer_url);
+    if (slug === w.photographer_slug) continue;
+    
+    bulkOps.push({
+      updateOne: {
+        filter: { _id: w._id },
+        update: slug ? { $set: { photographer_slug: slug } } : { $unset: { photographer_slug: 1 } }
+      }
+    });
+  }
+  
+  if (bulkOps.length > 0) {
+    await Wallpaper.bulkWrite(bulkOps);
+    console.log(`📷 Re-keyed photographer slugs for ${bulkOps.length} wallpapers`);
+  }
+}
+
+/**
+ * Give wallpapers saved before multi-category membership their category set
+ */
+export async function backfillCategories() {
+  const result = await Wallpaper.updateMany(
+    { categories: { $exists: false }, category: { $ne: null } },
+    [{ $set: { categories: ['$category'] } }],
+    { updatePipeline: true }
+  );
+  
+  if (result.modifiedCount > 0) {
+    console.log(`🗂️ Backfilled categories for ${result.modifiedCount} wallpapers`);
+  }
+}
+
+/**
+ * Move curated wallpapers out of the "featured" category they used to be given
+ * It was never a real category: each goes under the category its tags match
+ * best, or stays uncategorized.
+ */
+export async function backfillCuratedCategories() {
+  if (await Category.exists({ slug: 'featured' })) return;
+  
+  const wallpapers = await Wallpaper.find({ categories: 'featured' }, { category: 1, categories: 1, tags: 1 }).lean();
+  if (wallpapers.length === 0) return;
+  
+  const categories = await getCategories();
+  const bulkOps = wallpapers.map(w => {
+    let slugs = w.categories.filter(slug => slug !== 'featured');
+    if (slugs.length === 0) {
+      const match = matchCategory(w.tags || [], categories);
+      slugs = match ? [match.slug] : [];
+    }
+    const category = w.category === 'featured' ? (slugs[0] || null) : w.category;
+    return { updateOne: { filter: { _id: w._id }, update: { $set: { category, categories: slugs } } } };
+  });
+  
+  await Wallpaper.bulkWrite(bulkOps);
+  console.log(`🗂️ Moved ${bulkOps.length} curated wallpapers out of the "featured" category`);
+}
+
+/**
+ * Drop the expiry index an earlier version put on download events
+ * The event log backs analytics and is kept; readers bound their own window.
+ */
+export async function dropDownloadEventExpiry() {
+  const indexes = await DownloadEvent.collection.indexes().catch(() => []);
+  
+  for (const index of indexes.filter(i => i.expireAfterSeconds !== undefined)) {
+    await DownloadEvent.collection.dropIndex(index.name);
+    console.log(`🗑️ Dropped expiry index ${index.name} from download events`);
+  }
+}
+
+/**
+ * Derive tags for wallpapers saved before tag enrichment
+ * Also re-derives tags that still hold a stem the old singular rules mangled
+ * ("christma"), which normalizing them again repairs.
+ */
+export async function backfillTags() {
+  const categories = new Map((await Category.find().lean()).map(c => [c.slug, c]));
+  const wallpapers = await Wallpaper.find(
+    { $or: [{ tags_derived: { $ne: true } }, { tags: { $in: Object.keys(MANGLED_TAGS) } }] },
+    { title: 1, tags: 1, category: 1 }
+  ).lean();
+  
+  const bulkOps = wallpapers.map(w => ({
+    updateOne: {
+      filter: { _id: w._id },
+      update: { $set: { tags: deriveTags(w, categories.get(w.category)), tags_derived: true } }
+    }
+  }));
+  
+  if (bulkOps.length > 0) {
+    await Wallpaper.bulkWrite(bulkOps);
+    console.log(`🏷️ Derived tags for ${bulkOps.length} wallpapers`);
+  }
+}
+
+// Placeholder computations tried per wallpaper before the backfill gives up
+const MAX_PLACEHOLDER_ATTEMPTS = 3;
+
+/**
+ * Get wallpapers still missing a BlurHash or LQIP placeholder
+ * @param {number} limit - Max wallpapers to return
+ */
+export async function getWallpapersMissingPlaceholders(limit = 100) {
+  return Wallpaper.find(
+    {
+      $or: [{ blur_hash: null }, { lqip: null }, { phash: null }],
+      placeholder_attempts: { $not: { $gte: MAX_PLACEHOLDER_ATTEMPTS } }
+    },
+    { url_thumb: 1, url_regular: 1, blur_hash: 1, lqip: 1, phash: 1 }
+  )
+    .sort({ created_at: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Store computed placeholders and perceptual hashes, counting failures against each wallpaper
+ * @param {Array<{ wallpaper: Object, placeholders?: Object, error?: string }>} results
+ */
+export async function saveWallpaperPlaceholders(results) {
+  const bulkOps = results.map(({ wallpaper, placeholders }) => ({
+    updateOne: {
+      filter: { _id: wallpaper._id },
+      update: placeholders
+        ? { $set: { ...placeholders, phash_bands: phashBands(placeholders.phash) } }
+        : { $inc: { placeholder_attempts: 1 } }
+    }
+  }));
+  
+  if (bulkOps.length > 0) {
+    await Wallpaper.bulkWrite(bulkOps);
+  }
+}
+
+/**
+ * Find canonical wallpapers whose perceptual hash shares a band with the given one
+ * Hidden wallpapers are included, so new copies of a removed image stay hidden.
+ * Candidates still need an exact Hamming distance check
+ * @param {string} phash - Perceptual hash
+ * @param {string[]} excludeIds - Wallpapers to leave out (e.g. the one being checked)
+ */
+export async function findPhashCandidates(phash, excludeIds = []) {
+  const bands = phashBands(phash);
+  if (bands.length === 0) return [];
+  
+  return Wallpaper.find(
+    { phash_bands: { $in: bands }, _id: { $nin: excludeIds }, duplicate_of: null },
+    { phash: 1, created_at: 1 }
+  ).lean();
+}
+
+/**
+ * Queue a likely duplicate for review in its canonical's pending cluster
+ * Both stay listed until an admin merges the cluster. A match against an
+ * image moderators already took down is hidden right away, and a match
+ * against a pending member joins that member's cluster.
+ * @param {string} wallpaperId - Duplicate wallpaper ID
+ * @param {string} canonicalId - Wallpaper it matched
+ * @param {number} distance - Perceptual-hash distance between them
+ */
+export async function recordDuplicate(wallpaperId, canonicalId, distance) {
+  const parent = await DuplicateCluster.findOne({ member_ids: canonicalId, status: 'pending' }, { canonical_id: 1 }).lean();
+  if (parent) {
+    canonicalId = parent.canonical_id;
+  }
+  
+  const canonical = await Wallpaper.findById(canonicalId, { hidden_at: 1 }).lean();
+  if (canonical?.hidden_at) {
+    await Wallpaper.updateOne({ _id: wallpaperId }, { $set: { duplicate_of: canonicalId } });
+  }
+  
+  return DuplicateCluster.findOneAndUpdate(
+    { canonical_id: canonicalId, status: 'pending' },
+    {
+      $addToSet: { member_ids: wallpaperId },
+      $max: { max_distance: distance },
+      $setOnInsert: { created_at: new Date() }
+    },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+/**
+ * Undo what duplicate detection did before clusters waited for review
+ * Plain hashes (flat or gradient images) lose their band keys and their
+ * pending clusters are dismissed; members of other pending clusters are
+ * listed again unless their canonical was taken down.
+ */
+export async function backfillDuplicateReview() {
+  // A hash with fewer than 8 set (or unset) bits has an all-zero (or all-one) band
+  const plainBands = Array.from({ length: PHASH_BANDS }, (_, i) => [`${i}:00`, `${i}:ff`]).flat();
+  const plain = (await Wallpaper.find({ phash_bands: { $in: plainBands } }, { phash: 1 }).lean())
+    .filter(w => !isDistinctivePhash(w.phash))
+    .map(w => w._id);
+  
+  if (plain.length > 0) {
+    await Wallpaper.updateMany({ _id: { $in: plain } }, { $set: { phash_bands: [] } });
+    console.log(`🪞 Cleared perceptual-hash bands of ${plain.length} plain wallpapers`);
+  }
+  
+  const clusters = await DuplicateCluster.find({ status: 'pending' }).lean();
+  if (clusters.length === 0) return;
+  
+  const canonicals = new Map((await Wallpaper.find(
+    { _id: { $in: clusters.map(c => c.canonical_id) } },
+    { phash: 1, hidden_at: 1 }
+  ).lean()).map(w => [w._id, w]));
+  
+  let released = 0;
+  for (const cluster of clusters) {
+    const canonical = canonicals.get(cluster.canonical_id);
+    
+    if (canonical && !isDistinctivePhash(canonical.phash)) {
+      await dismissDuplicateCluster(cluster);
+      released += cluster.member_ids.length;
+    } else if (!canonical?.hidden_at) {
+      const result = await Wallpaper.updateMany(
+        { _id: { $in: cluster.member_ids }, duplicate_of: cluster.canonical_id },
+        { $set: { duplicate_of: null } }
+      );
+      released += result.modifiedCount;
+    }
+  }
+  
+  if (released > 0) {
+    console.log(`🪞 Listed ${released} unreviewed duplicates again until their clusters are merged`);
+  }
+}
+
+// Wallpaper fields shown when reviewing duplicate clusters
+const CLUSTER_WALLPAPER_FIELDS = {
+  title: 1, source: 1, photographer: 1, url_thumb: 1, url_regular: 1,
+  width: 1, height: 1, downloads: 1, phash: 1, duplicate_of: 1, created_at: 1
+};
+
+/**
+ * Attach canonical and member wallpapers to clusters
+ */
+async function withClusterWallpapers(clusters) {
+  const ids = clusters.flatMap(c => [c.canonical_id, ...c.member_ids]);
+  const wallpapers = await Wallpaper.find({ _id: { $in: ids } }, CLUSTER_WALLPAPER_FIELDS).lean();
+  const byId = new Map(wallpapers.map(w => [w._id, w]));
+  
+  return clusters.map(c => ({
+    ...c,
+    canonical: byId.get(c.canonical_id) || null,
+    members: c.member_ids.map(id => byId.get(id)).filter(Boolean)
+  }));
+}
+
+/**
+ * List duplicate clusters with their wallpapers, newest first
+ * @param {Object} options - Query options
+ * @param {string} options.status - Optional status filter (pending, merged, dismissed)
+ * @param {number} options.limit - Max clusters
+ */
+export async function getDuplicateClusters({ status = null, limit = 20 } = {}) {
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+  
+  const clusters = await DuplicateCluster.find(query)
+    .sort({ created_at: -1 })
+    .limit(limit)
+    .lean();
+  
+  return withClusterWallpapers(clusters);
+}
+
+/**
+ * Get one duplicate cluster with its wallpapers
+ */
+export async function getDuplicateClusterById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  
+  const cluster = await DuplicateCluster.findById(id).lean();
+  if (!cluster) return null;
+  
+  const [result] = await withClusterWallpapers([cluster]);
+  return result;
+}
+
+/**
+ * Merge a cluster into one canonical wallpaper
+ * The other wallpapers stay hidden as its duplicates (so ingestion won't
+ * re-add them); their downloads and categories are folded into the canonical.
+ * @param {Object} cluster - Cluster from getDuplicateClusterById
+ * @param {string} canonicalId - Wallpaper to keep; defaults to the current canonical
+ * @returns {Promise<Object>} The updated cluster
+ */
+export async function mergeDuplicateCluster(cluster, canonicalId = cluster.canonical_id) {
+  const others = [cluster.canonical_id, ...cluster.member_ids].filter(id => id !== canonicalId);
+  
+  const [{ downloads = 0, categories = [] } = {}] = await Wallpaper.aggregate([
+    { $match: { _id: { $in: others } } },
+    { $group: { _id: null, downloads: { $sum: '$downloads' }, categories: { $push: '$categories' } } },
+    {
+      $project: {
+        downloads: 1,
+        categories: { $reduce: { input: '$categories', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+      }
+    }
+  ]);
+  
+  await Wallpaper.updateOne(
+    { _id: canonicalId },
+    {
+      $set: { duplicate_of: null },
+      $inc: { downloads },
+      $addToSet: { categories: { $each: categories } }
+    }
+  );
+  await Wallpaper.updateMany(
+    { _id: { $in: others } },
+    { $set: { duplicate_of: canonicalId, downloads: 0 } }
+  );
+  
+  // Anything that pointed at a merged-away wallpaper now points at the canonical
+  await Wallpaper.updateMany({ duplicate_of: { $in: others } }, { $set: { duplicate_of: canonicalId } });
+  await DuplicateCluster.updateMany(
+    { _id: { $ne: cluster._id }, canonical_id: { $in: others } },
+    { $set: { canonical_id: canonicalId } }
+  );
+  await DownloadEvent.updateMany({ wallpaper_id: { $in: others } }, { $set: { wallpaper_id: canonicalId } });
+  
+  return DuplicateCluster.findByIdAndUpdate(
+    cluster._id,
+    { $set: { canonical_id: canonicalId, member_ids: others, status: 'merged', resolved_at: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Dismiss a cluster as not duplicates, listing its members again
+ * @param {Object} cluster - Cluster from getDuplicateClusterById
+ * @returns {Promise<Object>} The updated cluster
+ */
+export async function dismissDuplicateCluster(cluster) {
+  await Wallpaper.updateMany(
+    { _id: { $in: cluster.member_ids }, duplicate_of: cluster.canonical_id },
+    { $set: { duplicate_of: null } }
+  );
+  
+  return DuplicateCluster.findByIdAndUpdate(
+    cluster._id,
+    { $set: { status: 'dismissed', resolved_at: new Date() } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Hide a wallpaper from every public route
+ * @param {string} id - Wallpaper ID
+ * @param {string} reason - Why it was hidden (shown to admins)
+ * @returns {Promise<Object | null>} The wallpaper, or null if it doesn't exist
+ */
+export async function hideWallpaper(id, reason = null) {
+  return Wallpaper.findByIdAndUpdate(
+    id,
+    { $set: { hidden_at: new Date(), hidden_reason: reason } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Make a hidden wallpaper public again
+ * @returns {Promise<Object | null>} The wallpaper, or null if it doesn't exist
+ */
+export async function unhideWallpaper(id) {
+  return Wallpaper.findByIdAndUpdate(
+    id,
+    { $set: { hidden_at: null }, $unset: { hidden_reason: 1 } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * File a report against a wallpaper
+ * A reporter's repeat report on a wallpaper they already have an open report on is ignored
+ * @param {Object} data - { wallpaper_id, reason, details, reporter }
+ * @returns {Promise<{ report: Object, created: boolean }>}
+ */
+export async function createReport(data) {
+  const existing = await Report.findOne({
+    wallpaper_id: data.wallpaper_id,
+    reporter: data.reporter,
+    status: 'open'
+  }).lean();
+  
+  if (existing) {
+    return { report: existing, created: false };
+  }
+  
+  const report = await Report.create(data);
+  return { report: report.toObject(), created: true };
+}
+
+// Wallpaper fields shown in the moderation queue
+const REPORT_WALLPAPER_FIELDS = {
+  title: 1, source: 1, photographer: 1, url_thumb: 1, url_regular: 1,
+  category: 1, hidden_at: 1, hidden_reason: 1
+};
+
+/**
+ * List reports with their wallpapers, oldest first (queue order)
+ * @param {Object} options - Query options
+ * @param {string} options.status - Optional status filter (open, resolved)
+ * @param {string} options.wallpaperId - Optional wallpaper filter
+ * @param {string} options.reason - Optional reason filter
+ * @param {number} options.limit - Max reports
+ */
+export async function getReports({ status = null, wallpaperId = null, reason = null, limit = 50 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (wallpaperId) query.wallpaper_id = wallpaperId;
+  if (reason) query.reason = reason;
+  
+  const reports = await Report.find(query, { reporter: 0 })
+    .sort({ created_at: status === 'open' ? 1 : -1 })
+    .limit(limit)
+    .lean();
+  
+  const wallpapers = await Wallpaper.find(
+    { _id: { $in: [...new Set(reports.map(r => r.wallpaper_id))] } },
+    REPORT_WALLPAPER_FIELDS
+  ).lean();
+  const byId = new Map(wallpapers.map(w => [w._id, w]));
+  
+  // Open reports per wallpaper, so moderators can see how often it was flagged
+  const counts = await Report.aggregate([
+    { $match: { wallpaper_id: { $in: [...byId.keys()] }, status: 'open' } },
+    { $group: { _id: '$wallpaper_id', count: { $sum: 1 } } }
+  ]);
+  const openCounts = new Map(counts.map(c => [c._id, c.count]));
+  
+  return reports.map(r => ({
+    ...r,
+    wallpaper: byId.get(r.wallpaper_id) || null,
+    open_reports: openCounts.get(r.wallpaper_id) || 0
+  }));
+}
+
+/**
+ * Get one report (without the reporter hash)
+ */
+export async function getReportById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return Report.findById(id, { reporter: 0 }).lean();
+}
+
+/**
+ * Resolve every open report on a wallpaper
+ * @param {string} wallpaperId - Wallpaper ID
+ * @param {Object} resolution - { action, note, resolvedBy }
+ * @returns {Promise<number>} Reports resolved
+ */
+export async function resolveReports(wallpaperId, { action = 'none', note = null, resolvedBy = null } = {}) {
+  const result = await Report.updateMany(
+    { wallpaper_id: wallpaperId, status: 'open' },
+    { $set: { status: 'resolved', action, note, resolved_by: resolvedBy, resolved_at: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Get category by slug
+ */
+export async function getCategoryBySlug(slug) {
+  return Category.findOne({ slug }).lean();
+}
+
+/**
+ * Create a category
+ * @param {Object} data - Category fields (slug, name, icon, color, search_query, orientations)
+ */
+export async function createCategory(data) {
+  const category = await Category.create(data);
+  return category.toObject();
+}
+
+/**
+ * Update a category, moving its wallpapers along if the slug changes
+ * @param {string} slug - Current slug
+ * @param {Object} updates - Fields to change (may include a new slug)
+ * @returns {Promise<Object | null>} The updated category, or null if not found
+ */
+export async function updateCategory(slug, updates) {
+  const category = await Category.findOneAndUpdate(
+    { slug },
+    { $set: updates },
+    { new: true, runValidators: true }
+  ).lean();
+  
+  if (category && updates.slug && updates.slug !== slug) {
+    // Add then pull, so wallpapers already holding the new slug don't end up with it twice
+    const result = await Wallpaper.updateMany({ categories: slug }, { $addToSet: { categories: updates.slug } });
+    await Wallpaper.updateMany({ categories: slug }, { $pull: { categories: slug } });
+    await Wallpaper.updateMany({ category: slug }, { $set: { category: updates.slug } });
+    console.log(`🔀 Moved ${result.matchedCount} wallpapers from ${slug} to ${updates.slug}`);
+  }
+  
+  return category;
+}
+
+/**
+ * Delete a category and deal with its wallpapers
+ * Wallpapers that also belong to other categories only lose this one
+ * (with deleteWallpapers, they're kept)
+ * @param {string} slug - Category slug
+ * @param {Object} options - What to do with the category's wallpapers
+ * @param {string} options.moveTo - Reassign them to this category slug
+ * @param {boolean} options.deleteWallpapers - Delete them instead
+ * @returns {Promise<{ deleted: boolean, moved: number, removed: number }>}
+ */
+export async function deleteCategory(slug, { moveTo = null, deleteWallpapers = false } = {}) {
+  let moved = 0;
+  let removed = 0;
+  
+  if (moveTo) {
+    const result = await Wallpaper.updateMany({ categories: slug }, { $addToSet: { categories: moveTo } });
+    moved = result.matchedCount;
+    await Wallpaper.updateMany({ category: slug }, { $set: { category: moveTo } });
+  } else if (deleteWallpapers) {
+    const result = await Wallpaper.deleteMany({ categories: { $eq: slug, $size: 1 } });
+    removed = result.deletedCount;
+  }
+  
+  // Drop the slug from the rest; a wallpaper whose primary category it was
+  // falls back to its first remaining one
+  await Wallpaper.updateMany({ categories: slug }, { $pull: { categories: slug } });
+  await Wallpaper.updateMany(
+    { category: slug },
+    [{ $set: { category: { $arrayElemAt: ['$categories', 0] } } }],
+    { updatePipeline: true }
+  );
+  
+  const result = await Category.deleteOne({ slug });
+  
+  if (moveTo || deleteWallpapers) {
+    await updateCategoryCounts();
+  }
+  
+  return { deleted: result.deletedCount > 0, moved, removed };
+}
+
+/**
+ * Get the next page to fetch for a category from a provider
+ * Exhausted cursors start over from page 1 after `resetAfterDays`,
+ * since providers keep adding new images.
+ * @returns {Promise<{ page: number, exhausted: boolean }>}
+ */
+export async function getFetchCursor(category, provider, orientation = 'portrait', { resetAfterDays = 7 } = {}) {
+  const cursor = await FetchCursor.findOne({ category, provider, orientation }).lean();
+  
+  if (!cursor) {
+    return { page: 1, exhausted: false };
+  }
+  
+  if (cursor.exhausted_at) {
+    const age = Date.now() - cursor.exhausted_at.getTime();
+    if (age >= resetAfterDays * 24 * 60 * 60 * 1000) {
+      return { page: 1, exhausted: false };
+    }
+    return { page: cursor.next_page, exhausted: true };
+  }
+  
+  return { page: cursor.next_page, exhausted: false };
+}
+
+/**
+ * Record a fetched page and move the cursor on
+ * @param {number} page - Page that was fetched
+ * @param {boolean} exhausted - Provider has no results beyond this page
+ */
+export async function advanceFetchCursor(category, provider, orientation, page, exhausted) {
+  return FetchCursor.updateOne(
+    { category, provider, orientation },
+    exhausted
+      ? { $set: { next_page: 1, exhausted_at: new Date() } }
+      : { $set: { next_page: page + 1 }, $unset: { exhausted_at: 1 } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Start recording a job run
+ * @param {string} job - Job name (e.g. 'fetch')
+ * @param {string} trigger - What started it (cron, startup, admin, category)
+ * @param {Object} id - Optional pre-generated run ID
+ * @returns {Promise<Object>} The run document
+ */
+export async function startJobRun(job, trigger, id = undefined) {
+  const run = await JobRun.create({ _id: id, job, trigger });
+  return run.toObject();
+}
+
+/**
+ * Append a per-fetch result to a running job
+ */
+export async function addJobRunResult(runId, result) {
+  return JobRun.updateOne(
+    { _id: runId },
+    { $push: { results: result }, $inc: { total_new: result.saved || 0 } }
+  );
+}
+
+/**
+ * Mark a job run finished
+ * @param {string} runId - Run ID
+ * @param {Object} outcome - { status, error }
+ */
+export async function finishJobRun(runId, { status = 'completed', error = null } = {}) {
+  const update = { $set: { status, finished_at: new Date() } };
+  if (error) {
+    update.$push = { error_messages: error };
+  }
+  return JobRun.updateOne({ _id: runId }, update);
+}
+
+/**
+ * List recent job runs, newest first
+ * @param {Object} options - { job, status, limit }
+ */
+export async function getJobRuns({ job = null, status = null, limit = 20 } = {}) {
+  const query = {};
+  if (job) {
+    query.job = job;
+  }
+  if (status) {
+    query.status = status;
+  }
+  
+  return JobRun.find(query, { results: 0 })
+    .sort({ started_at: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Get a job run with its per-fetch results
+ */
+export async function getJobRunById(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return JobRun.findById(id).lean();
+}
+
+/**
+ * Most used tags among listed wallpapers
+ * @param {Object} options - Query options
+ * @param {string} options.category - Optional category slug
+ * @param {number} options.limit - Max tags
+ * @returns {Promise<Array<{ tag: string, count: number }>>}
+ */
+export async function getTagCounts({ category = null, limit = 50 } = {}) {
+  const match = { ...LISTED };
+  if (category) {
+    match.categories = category;
+  }
+  
+  return Wallpaper.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+}
+
+/**
+ * Top tags of every category
+ * @param {number} perCategory - Tags per category
+ * @returns {Promise<Array<{ category: string, tags: Array<{ tag: string, count: number }> }>>}
+ */
+export async function getTopTagsByCategory(perCategory = 10) {
+  return Wallpaper.aggregate([
+    { $match: { ...LISTED } },
+    { $unwind: '$categories' },
+    { $unwind: '$tags' },
+    { $group: { _id: { category: '$categories', tag: '$tags' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, '_id.tag': 1 } },
+    { $group: { _id: '$_id.category', tags: { $push: { tag: '$_id.tag', count: '$count' } } } },
+    { $project: { _id: 0, category: '$_id', tags: { $slice: ['$tags', perCategory] } } },
+    { $sort: { category: 1 } }
+  ]);
+}
+
+/**
+ * Aggregation stages that fold a photographer's listed wallpapers into a profile
+ */
+function photographerProfileStages() {
+  return [
+    { $sort: { downloads: -1, _id: 1 } },
+    {
+      $group: {
+        _id: '$photographer_slug',
+        name: { $first: '$photographer' },
+        source: { $first: '$source' },
+        profile_url: { $max: '$photographer_url' },
+        wallpaper_count: { $sum: 1 },
+        downloads: { $sum: '$downloads' },
+        categories: { $push: '$categories' },
+        cover: { $first: { id: '$_id', url_thumb: '$url_thumb', blur_hash: '$blur_hash' } },
+        latest_at: { $max: '$created_at' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        slug: '$_id',
+        name: 1,
+        source: 1,
+        profile_url: 1,
+        wallpaper_count: 1,
+        downloads: 1,
+        categories: {
+          $sortArray: {
+            input: { $reduce: { input: '$categories', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } },
+            sortBy: 1
+          }
+        },
+        cover: 1,
+        latest_at: 1
+      }
+    }
+  ];
+}
+
+// Sort orders for the photographer directory
+const PHOTOGRAPHER_SORTS = {
+  popular: { downloads: -1, wallpaper_count: -1, slug: 1 },
+  wallpapers: { wallpaper_count: -1, downloads: -1, slug: 1 },
+  name: { name: 1, slug: 1 },
+  newest: { latest_at: -1, slug: 1 }
+};
+
+/**
+ * Get a page of photographers with their totals
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-indexed)
+ * @param {number} options.limit - Items per page
+ * @param {string} options.sort - 'popular', 'wallpapers', 'name' or 'newest'
+ * @param {string} options.source - Optional provider filter
+ * @param {string} options.category - Optional category filter (photographers with a wallpaper in it)
+ * @returns {Promise<{ photographers: Object[], total: number }>}
+ */
+export async function getPhotographers({ page = 1, limit = 20, sort = 'popular', source = null, category = null } = {}) {
+  const match = { ...LISTED, photographer_slug: { $ne: null } };
+  if (source) {
+    match.source = source;
+  }
+  if (category) {
+    match.categories = category;
+  }
+  
+  const [{ photographers, total }] = await Wallpaper.aggregate([
+    { $match: match },
+    ...photographerProfileStages(),
+    {
+      $facet: {
+        photographers: [
+          { $sort: PHOTOGRAPHER_SORTS[sort] || PHOTOGRAPHER_SORTS.popular },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    },
+    { $project: { photographers: 1, total: { $ifNull: [{ $first: '$total.count' }, 0] } } }
+  ]);
+  
+  return { photographers, total };
+}
+
+/**
+ * Get one photographer's profile
+ * @param {string} slug - Photographer slug (see services/photographers.js)
+ * @returns {Promise<Object | null>} null when they have no listed wallpapers
+ */
+export async function getPhotographerBySlug(slug) {
+  const [profile] = await Wallpaper.aggregate([
+    { $match: { ...LISTED, photographer_slug: slug } },
+    ...photographerProfileStages()
+  ]);
+  return profile || null;
+}
+
+/**
+ * Candidates for the wallpaper of the day: the most downloaded and the newest
+ * @param {Object} options - Pool options
+ * @param {string[]} options.excludeIds - Wallpapers that can't be picked (recent picks)
+ * @param {number} options.limit - Max candidates from each pool
+ */
+export async function getDailyCandidates({ excludeIds = [], limit = 250 } = {}) {
+  const query = { ...LISTED, _id: { $nin: excludeIds } };
+  const fields = { downloads: 1, width: 1, height: 1, blur_hash: 1, lqip: 1, created_at: 1 };
+  
+  const [popular, newest] = await Promise.all([
+    Wallpaper.find(query, fields).sort({ downloads: -1, _id: 1 }).limit(limit).lean(),
+    Wallpaper.find(query, fields).sort({ created_at: -1, _id: -1 }).limit(limit).lean()
+  ]);
+  
+  const candidates = new Map([...popular, ...newest].map(w => [w._id, w]));
+  return [...candidates.values()];
+}
+
+/**
+ * Wallpapers picked as wallpaper of the day on or after a date
+ * @param {string} since - UTC date, YYYY-MM-DD
+ */
+export async function getDailyWallpaperIdsSince(since) {
+  return DailyWallpaper.distinct('wallpaper_id', { date: { $gte: since } });
+}
+
+/**
+ * Get the wallpaper of the day for a date
+ * @param {string} date - UTC date, YYYY-MM-DD
+ * @returns {Promise<Object | null>} The pick with `wallpaper` (null if it's no longer listed), or null if none
+ */
+export async function getDailyWallpaper(date) {
+  const pick = await DailyWallpaper.findOne({ date }).lean();
+  if (!pick) return null;
+  
+  const wallpaper = await Wallpaper.findOne({ _id: pick.wallpaper_id, ...LISTED }).lean();
+  return { ...pick, wallpaper };
+}
+
+/**
+ * Store the wallpaper of the day
+ * The first pick for a date wins: if another instance got there first, its
+ * pick is returned. With `replaces`, swaps out that pick (a taken-down wallpaper).
+ * @param {string} date - UTC date, YYYY-MM-DD
+ * @param {string} wallpaperId - Picked wallpaper
+ * @param {number} score - Its pick weight
+ * @param {Object} options - Save options
+ * @param {string} options.replaces - Wallpaper ID of the pick being replaced
+ * @returns {Promise<Object>} The pick stored for the date
+ */
+export async function saveDailyWallpaper(date, wallpaperId, score, { replaces = null } = {}) {
+  if (replaces) {
+    const replaced = await DailyWallpaper.findOneAndUpdate(
+      { date, wallpaper_id: replaces },
+      { $set: { wallpaper_id: wallpaperId, score, replaced_id: replaces, picked_at: new Date() } },
+      { new: true }
+    ).lean();
+    return replaced || DailyWallpaper.findOne({ date }).lean();
+  }
+  
+  try {
+    return (await DailyWallpaper.create({ date, wallpaper_id: wallpaperId, score })).toObject();
+  } catch (error) {
+    if (error.code === 11000) {
+      return DailyWallpaper.findOne({ date }).lean();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get past wallpapers of the day, newest first
+ * Days whose wallpaper has since been hidden are left out.
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-indexed)
+ * @param {number} options.limit - Days per page
+ * @param {string} options.until - Latest UTC date to include, YYYY-MM-DD
+ * @returns {Promise<{ days: Object[], total: number }>}
+ */
+export async function getDailyHistory({ page = 1, limit = 30, until }) {
+  const [{ days, total }] = await DailyWallpaper.aggregate([
+    { $match: { date: { $lte: until } } },
+    {
+      $lookup: {
+        from: Wallpaper.collection.name,
+        localField: 'wallpaper_id',
+        foreignField: '_id',
+        pipeline: [{ $match: { ...LISTED } }],
+        as: 'wallpaper'
+      }
+    },
+    { $unwind: '$wallpaper' },
+    {
+      $facet: {
+        days: [
+          { $sort: { date: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 0, date: 1, wallpaper: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    },
+    { $project: { days: 1, total: { $ifNull: [{ $first: '$total.count' }, 0] } } }
+  ]);
+  
+  return { days, total };
+}
+
+/**
+ * Candidate pool for similar wallpapers, seeded from what they share
+ * Wallpapers with the most tags in common, the closest colors in the same
+ * color bucket and the same photographer's, each through its own index;
+ * the wallpaper's categories only top the pool up. Downloads just break ties.
+ * @param {Object} wallpaper - Wallpaper to find similar ones for
+ * @param {Object} options - Pool options
+ * @param {string[]} options.excludeIds - Wallpapers already in the pool
+ * @param {number} options.limit - Max candidates
+ * @param {number} options.scanLimit - Most matches ranked per signal
+ */
+export async function getSimilarCandidates(wallpaper, { excludeIds = [], limit = 300, scanLimit = 2000 } = {}) {
+  const base = { ...LISTED, _id: { $nin: [wallpaper._id, ...excludeIds] } };
+  const tieBreak = { downloads: -1, _id: 1 };
+  
+  const byTags = wallpaper.tags?.length
+    ? Wallpaper.aggregate([
+      { $match: { ...base, tags: { $in: wallpaper.tags } } },
+      { $limit: scanLimit },
+      { $addFields: { shared_tags: { $size: { $setIntersection: ['$tags', wallpaper.tags] } } } },
+      { $sort: { shared_tags: -1, ...tieBreak } },
+      { $limit: Math.ceil(limit / 2) },
+      { $project: { shared_tags: 0 } }
+    ])
+    : [];
+  
+  const lab = wallpaper.color_lab;
+  const byColor = wallpaper.color_bucket && lab
+    ? Wallpaper.aggregate([
+      { $match: { ...base, color_bucket: wallpaper.color_bucket, color_lab: { $ne: null } } },
+      { $limit: scanLimit },
+      {
+        $addFields: {
+          color_distance: {
+            $add: [
+              { $pow: [{ $subtract: ['$color_lab.l', lab.l] }, 2] },
+              { $pow: [{ $subtract: ['$color_lab.a', lab.a] }, 2] },
+              { $pow: [{ $subtract: ['$color_lab.b', lab.b] }, 2] }
+            ]
+          }
+        }
+      },
+      { $sort: { color_distance: 1, ...tieBreak } },
+      { $limit: Math.ceil(limit / 4) },
+      { $project: { color_distance: 0 } }
+    ])
+    : [];
+  
+  const byPhotographer = wallpaper.photographer_slug
+    ? Wallpaper.find({ ...base, photographer_slug: wallpaper.photographer_slug })
+      .sort(tieBreak)
+      .limit(Math.ceil(limit / 10))
+      .lean()
+    : [];
+  
+  const seeded = new Map();
+  for (const list of await Promise.all([byTags, byColor, byPhotographer])) {
+    for (const candidate of list) {
+      seeded.set(candidate._id, candidate);
+    }
+  }
+  
+  // Uncategorized wallpapers (from curated feeds) have nothing to top up from
+  const categories = wallpaper.categories?.length ? wallpaper.categories : [wallpaper.category].filter(Boolean);
+  const pool = [...seeded.values()].slice(0, limit);
+  if (pool.length < limit && categories.length > 0) {
+    pool.push(...await Wallpaper.find({
+      ...base,
+      _id: { $nin: [wallpaper._id, ...excludeIds, ...seeded.keys()] },
+      categories: { $in: categories }
+    })
+      .sort(tieBreak)
+      .limit(limit - pool.length)
+      .lean());
+  }
+  
+  return pool;
+}
+
+/**
+ * Wallpapers downloaded by the same clients as this one
+ * @param {string} wallpaperId - Wallpaper ID
+ * @param {Object} options - Lookup options
+ * @param {number} options.windowDays - How far back to look
+ * @param {number} options.maxClients - Most recent clients to follow
+ * @param {number} options.limit - Max wallpapers returned
+ * @returns {Promise<Array<{ _id: string, count: number }>>} Distinct co-downloading clients per wallpaper
+ */
+export async function getCoDownloadCounts(wallpaperId, { windowDays = 90, maxClients = 500, limit = 50 } = {}) {
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  
+  const clients = await DownloadEvent.aggregate([
+    { $match: { wallpaper_id: wallpaperId, client: { $ne: null }, created_at: { $gte: since } } },
+    { $sort: { created_at: -1 } },
+    { $group: { _id: '$client' } },
+    { $limit: maxClients }
+  ]);
+  if (clients.length === 0) return [];
+  
+  return DownloadEvent.aggregate([
+    {
+      $match: {
+        client: { $in: clients.map(c => c._id) },
+        wallpaper_id: { $ne: wallpaperId },
+        created_at: { $gte: since }
+      }
+    },
+    { $group: { _id: { wallpaper_id: '$wallpaper_id', client: '$client' } } },
+    { $group: { _id: '$_id.wallpaper_id', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+}
+
+/**
+ * Get listed wallpapers by ID
+ * @param {string[]} ids - Wallpaper IDs
+ */
+export async function getListedWallpapersByIds(ids) {
+  if (ids.length === 0) return [];
+  return Wallpaper.find({ _id: { $in: ids }, ...LISTED }).lean();
 }
 
 export default {
   initializeDatabase,
   getCategories,
+  resolveSort,
+  isValidCursor,
   getWallpapers,
   getWallpaperCount,
+  searchWallpapers,
+  getSearchCount,
   getWallpaperById,
   insertWallpaper,
   insertWallpapers,
+  addWallpapersToCategory,
   incrementDownloadCount,
+  recordDownloadEvent,
+  updateTrendingScores,
+  getDownloadStats,
   wallpaperExists,
+  getExistingWallpaperIds,
   getFeaturedWallpapers,
+  getFeaturedCount,
+  featureWallpaper,
+  unfeatureWallpaper,
+  reorderFeatured,
+  featureCuratedWallpapers,
   updateCategoryCounts,
+  backfillDerivedFields,
+  backfillPhotographerSlugs,
+  backfillCategories,
+  backfillCuratedCategories,
+  backfillTags,
+  backfillDuplicateReview,
+  dropDownloadEventExpiry,
+  getWallpapersMissingPlaceholders,
+  saveWallpaperPlaceholders,
+  findPhashCandidates,
+  recordDuplicate,
+  getDuplicateClusters,
+  getDuplicateClusterById,
+  mergeDuplicateCluster,
+  dismissDuplicateCluster,
+  hideWallpaper,
+  unhideWallpaper,
+  createReport,
+  getReports,
+  getReportById,
+  resolveReports,
   getCategoryBySlug,
-  getSimilarWallpapers
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  getFetchCursor,
+  advanceFetchCursor,
+  startJobRun,
+  addJobRunResult,
+  finishJobRun,
+  getJobRuns,
+  getJobRunById,
+  getSimilarCandidates,
+  getCoDownloadCounts,
+  getListedWallpapersByIds,
+  getTagCounts,
+  getTopTagsByCategory,
+  getPhotographers,
+  getPhotographerBySlug,
+  getDailyCandidates,
+  getDailyWallpaperIdsSince,
+  getDailyWallpaper,
+  saveDailyWallpaper,
+  getDailyHistory
 };
 
 
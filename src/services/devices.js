@@ -0,0 +1,76 @@
+/**
+ * Device profiles
+ * Common screen resolutions (portrait for phones/tablets, landscape for
+ * desktops) used to filter wallpapers that fit a given device.
+ */
+
+// Relative aspect-ratio deviation allowed, since clients crop to fill the screen
+export const ASPECT_TOLERANCE = 0.15;
+
+export const ORIENTATIONS = ['portrait', 'landscape', 'square'];
+
+// Aspect ratios within this distance of 1 count as square
+const SQUARE_TOLERANCE = 0.05;
+
+export const DEVICE_PROFILES = {
+  phone: { name: 'Phone (FHD+)', width: 1080, height: 2400 },
+  'phone-qhd': { name: 'Phone (QHD+)', width: 1440, height: 3200 },
+  iphone: { name: 'iPhone 15 / 15 Pro', width: 1179, height: 2556 },
+  'iphone-max': { name: 'iPhone 15 Plus / Pro Max', width: 1290, height: 2796 },
+  tablet: { name: 'Tablet (iPad Air)', width: 1640, height: 2360 },
+  'tablet-pro': { name: 'Tablet (iPad Pro 12.9")', width: 2048, height: 2732 },
+  desktop: { name: 'Desktop (1080p)', width: 1920, height: 1080 },
+  'desktop-qhd': { name: 'Desktop (1440p)', width: 2560, height: 1440 },
+  'desktop-4k': { name: 'Desktop (4K)', width: 3840, height: 2160 },
+  ultrawide: { name: 'Ultrawide (3440x1440)', width: 3440, height: 1440 }
+};
+
+/**
+ * Get a device profile by slug
+ * @param {string} slug - Device slug (e.g. 'phone', 'desktop-4k')
+ */
+export function getDeviceProfile(slug) {
+  return Object.hasOwn(DEVICE_PROFILES, slug) ? DEVICE_PROFILES[slug] : null;
+}
+
+/**
+ * Classify dimensions as portrait, landscape or square
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string | null}
+ */
+export function getOrientation(width, height) {
+  if (!(width > 0 && height > 0)) return null;
+
+  const ratio = width / height;
+  if (Math.abs(ratio - 1) <= SQUARE_TOLERANCE) return 'square';
+  return ratio > 1 ? 'landscape' : 'portrait';
+}
+
+/**
+ * Parse an aspect ratio given as "W:H", "WxH" or a decimal (width / height)
+ * @param {string} value - Aspect ratio
+ * @returns {number | null}
+ */
+export function parseAspect(value) {
+  if (value === undefined || value === null) return null;
+
+  const parts = String(value).trim().split(/[:x/]/i);
+  let ratio;
+  if (parts.length === 2) {
+    ratio = parseFloat(parts[0]) / parseFloat(parts[1]);
+  } else if (parts.length === 1) {
+    ratio = parseFloat(parts[0]);
+  }
+
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+export default {
+  ASPECT_TOLERANCE,
+  ORIENTATIONS,
+  DEVICE_PROFILES,
+  getDeviceProfile,
+  getOrientation,
+  parseAspect
+};
@@ -0,0 +1,74 @@
+/**
+ * Near-duplicate detection
+ * Matches a wallpaper's perceptual hash against the others; when one is close
+ * enough, the pair goes into a cluster for admin review (see
+ * /api/admin/duplicates). Nothing is hidden until an admin merges the cluster.
+ */
+
+import { findPhashCandidates, recordDuplicate } from './database.js';
+import { PHASH_BANDS, hammingDistance, isDistinctivePhash } from './phash.js';
+
+// Band lookup only guarantees matches up to PHASH_BANDS - 1 differing bits
+const DEFAULT_MAX_DISTANCE = 6;
+
+function getMaxDistance() {
+  const value = parseInt(process.env.DUPLICATE_MAX_DISTANCE);
+  return value >= 0 ? Math.min(value, PHASH_BANDS - 1) : DEFAULT_MAX_DISTANCE;
+}
+
+/**
+ * Find the closest wallpaper to a perceptual hash
+ * Plain hashes (flat or gradient images) never match
+ * @param {string} phash - Perceptual hash
+ * @param {string[]} excludeIds - Wallpapers to leave out (at least the one being checked)
+ * @returns {Promise<{ wallpaper: Object, distance: number } | null>}
+ */
+export async function findDuplicate(phash, excludeIds) {
+  if (!isDistinctivePhash(phash)) return null;
+
+  const maxDistance = getMaxDistance();
+  const candidates = await findPhashCandidates(phash, excludeIds);
+
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = hammingDistance(phash, candidate.phash);
+    if (distance > maxDistance) continue;
+
+    // Closest wins; on ties the older wallpaper stays canonical
+    if (!best || distance < best.distance ||
+        (distance === best.distance && candidate.created_at < best.wallpaper.created_at)) {
+      best = { wallpaper: candidate, distance };
+    }
+  }
+  return best;
+}
+
+/**
+ * Check freshly hashed wallpapers for duplicates, queueing any that match for review
+ * Run in order, so within a batch the first copy of an image stays canonical
+ * @param {Array<{ _id: string, phash: string }>} wallpapers
+ * @returns {Promise<number>} Number recorded as likely duplicates
+ */
+export async function detectDuplicates(wallpapers) {
+  let found = 0;
+  // Wallpapers not checked yet can't be canonical for earlier ones
+  const unchecked = new Set(wallpapers.map(w => w._id));
+
+  for (const wallpaper of wallpapers) {
+    const match = wallpaper.phash ? await findDuplicate(wallpaper.phash, [...unchecked]) : null;
+    unchecked.delete(wallpaper._id);
+
+    if (match) {
+      await recordDuplicate(wallpaper._id, match.wallpaper._id, match.distance);
+      console.log(`  🪞 ${wallpaper._id} duplicates ${match.wallpaper._id} (distance ${match.distance})`);
+      found++;
+    }
+  }
+
+  return found;
+}
+
+export default {
+  findDuplicate,
+  detectDuplicates
+};
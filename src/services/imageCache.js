@@ -0,0 +1,273 @@
+/**
+ * Image cache
+ * Downloads each wallpaper's source image once into data/images/<id>/ and
+ * renders resized, re-encoded variants from it on demand. Variants are
+ * written next to the source, so every (variant, format) is encoded once.
+ * Sources come from the smallest provider URL that covers the variant, and
+ * pruneImageCache() evicts the least recently served wallpapers by size.
+ */
+
+import axios from 'axios';
+import sharp from 'sharp';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, sep } from 'path';
+import { mkdir, readdir, readFile, rename, rm, stat, utimes, writeFile } from 'fs/promises';
+import { DEVICE_PROFILES } from './devices.js';
+import { getProvider } from './providers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const IMAGE_CACHE_DIR = resolve(process.env.IMAGE_CACHE_DIR || join(__dirname, '../../data/images'));
+
+// Largest source image we'll download
+const MAX_SOURCE_BYTES = 50 * 1024 * 1024;
+
+export const IMAGE_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  webp: { extension: 'webp', contentType: 'image/webp', options: { quality: 80 } },
+  avif: { extension: 'avif', contentType: 'image/avif', options: { quality: 55 } }
+};
+
+// Thumbnails and previews keep the source aspect ratio; device variants are
+// cropped to fill the screen
+export const IMAGE_VARIANTS = {
+  thumb: { width: 400 },
+  preview: { width: 1080 },
+  ...Object.fromEntries(
+    Object.entries(DEVICE_PROFILES).map(([slug, { width, height }]) => [slug, { width, height, fit: 'cover' }])
+  )
+};
+
+// Renders in progress, so concurrent requests for the same file share one
+const pending = new Map();
+
+/**
+ * Parse a variant name with an optional format extension ("thumb", "phone.webp")
+ * @returns {{ variant: string, format: string | null } | null} null if unknown
+ */
+export function parseVariant(value) {
+  const [variant, extension, ...rest] = String(value).split('.');
+  if (rest.length > 0 || !Object.hasOwn(IMAGE_VARIANTS, variant)) return null;
+  if (extension === undefined) return { variant, format: null };
+
+  const format = Object.keys(IMAGE_FORMATS).find(name =>
+    name === extension || IMAGE_FORMATS[name].extension === extension
+  );
+  return format ? { variant, format } : null;
+}
+
+/**
+ * Pick the best format the client accepts (AVIF, then WebP, then JPEG)
+ * @param {string} accept - Accept header
+ */
+export function negotiateFormat(accept = '') {
+  if (accept.includes('image/avif')) return 'avif';
+  if (accept.includes('image/webp')) return 'webp';
+  return 'jpeg';
+}
+
+/**
+ * Run a task once per key, sharing the result with concurrent callers
+ */
+function once(key, task) {
+  if (!pending.has(key)) {
+    pending.set(key, task().finally(() => pending.delete(key)));
+  }
+  return pending.get(key);
+}
+
+async function exists(path) {
+  try {
+    await stat(path);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Write a file via a temp file, so readers never see a partial image
+ */
+async function writeAtomic(path, data) {
+  const temp = `${path}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(temp, data);
+  await rename(temp, path);
+}
+
+/**
+ * Pick the smallest image URL that still covers a variant
+ * Provider imageSizes give the bounds each smaller URL scales the original
+ * into; a URL qualifies once it is as large as the variant, or is the
+ * original itself. Falls back to url_full when none does or the size is unknown.
+ * @param {Object} wallpaper - Wallpaper with source, width, height and URLs
+ * @param {string} variant - Key of IMAGE_VARIANTS
+ * @returns {{ field: string, url: string }}
+ */
+export function pickSourceUrl(wallpaper, variant) {
+  const { width, height = 0 } = IMAGE_VARIANTS[variant];
+  const sizes = getProvider(wallpaper.source)?.imageSizes || {};
+
+  if (wallpaper.width > 0 && wallpaper.height > 0) {
+    const candidates = Object.entries(sizes)
+      .filter(([field]) => wallpaper[field])
+      .map(([field, box]) => ({
+        field,
+        scale: Math.min(1, (box.width || Infinity) / wallpaper.width, (box.height || Infinity) / wallpaper.height)
+      }))
+      .filter(({ scale }) => scale === 1 || (wallpaper.width * scale >= width && wallpaper.height * scale >= height))
+      .sort((a, b) => a.scale - b.scale);
+
+    if (candidates.length > 0) {
+      return { field: candidates[0].field, url: wallpaper[candidates[0].field] };
+    }
+  }
+
+  return wallpaper.url_full
+    ? { field: 'url_full', url: wallpaper.url_full }
+    : { field: 'url_regular', url: wallpaper.url_regular };
+}
+
+/**
+ * Get the cached source image for a variant, downloading it if needed
+ * Each source URL is cached on its own ("source" for url_full, "source-regular", ...)
+ * @param {Object} wallpaper - Wallpaper with _id, size and source URLs
+ * @param {string} variant - Key of IMAGE_VARIANTS
+ * @returns {Promise<Buffer>}
+ */
+async function getSourceImage(wallpaper, variant) {
+  const { field, url } = pickSourceUrl(wallpaper, variant);
+  const dir = join(IMAGE_CACHE_DIR, wallpaper._id);
+  const path = join(dir, field === 'url_full' ? 'source' : `source-${field.replace(/^url_/, '')}`);
+
+  if (await exists(path)) {
+    return readFile(path);
+  }
+
+  return once(path, async () => {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: MAX_SOURCE_BYTES
+    });
+
+    const data = Buffer.from(response.data);
+    await mkdir(dir, { recursive: true });
+    await writeAtomic(path, data);
+    console.log(`🖼️ Cached ${field} source image for ${wallpaper._id}`);
+
+    return data;
+  });
+}
+
+/**
+ * Get the path of a rendered variant, rendering it on first use
+ * @param {Object} wallpaper - Wallpaper with _id and source URLs
+ * @param {string} variant - Key of IMAGE_VARIANTS
+ * @param {string} format - Key of IMAGE_FORMATS
+ * @returns {Promise<string>} Absolute file path
+ */
+export async function getImageVariant(wallpaper, variant, format) {
+  const { extension, options } = IMAGE_FORMATS[format];
+  const dir = join(IMAGE_CACHE_DIR, wallpaper._id);
+  const path = join(dir, `${variant}.${extension}`);
+
+  if (await exists(path)) {
+    // The directory's mtime records when it was last served, for pruneImageCache
+    const now = new Date();
+    await utimes(dir, now, now).catch(() => {});
+    return path;
+  }
+
+  return once(path, async () => {
+    const source = await getSourceImage(wallpaper, variant);
+    const image = sharp(source).rotate();
+    const { width, height, fit = 'inside' } = IMAGE_VARIANTS[variant];
+
+    let resize = { width, height, fit, withoutEnlargement: true };
+    if (fit === 'cover') {
+      // Keep the device's aspect ratio when the source is smaller than the screen
+      const meta = await image.metadata();
+      const [sourceWidth, sourceHeight] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+      const scale = Math.min(1, sourceWidth / width, sourceHeight / height);
+      resize = { width: Math.round(width * scale), height: Math.round(height * scale), fit };
+    }
+
+    const data = await image
+      .resize(resize)
+      .toFormat(format, options)
+      .toBuffer();
+
+    await writeAtomic(path, data);
+    return path;
+  });
+}
+
+/**
+ * Delete a wallpaper's cached source and variants (e.g. once it's hidden)
+ * @param {string} id - Wallpaper ID
+ */
+export async function purgeImageCache(id) {
+  await rm(join(IMAGE_CACHE_DIR, id), { recursive: true, force: true });
+}
+
+/**
+ * Evict the least recently served wallpapers until the cache fits a size limit
+ * Directories with a download or render in progress are kept.
+ * @param {Object} options - Options
+ * @param {number} options.maxBytes - Largest total size to keep
+ * @returns {Promise<{ removed: number, freedBytes: number, totalBytes: number }>}
+ */
+export async function pruneImageCache({ maxBytes }) {
+  let ids;
+  try {
+    ids = await readdir(IMAGE_CACHE_DIR);
+  } catch (e) {
+    return { removed: 0, freedBytes: 0, totalBytes: 0 };
+  }
+
+  const entries = [];
+  for (const id of ids) {
+    const dir = join(IMAGE_CACHE_DIR, id);
+    try {
+      const info = await stat(dir);
+      if (!info.isDirectory()) continue;
+
+      let bytes = 0;
+      for (const file of await readdir(dir)) {
+        bytes += (await stat(join(dir, file)).catch(() => ({ size: 0 }))).size;
+      }
+      entries.push({ id, dir, bytes, lastUsed: info.mtimeMs });
+    } catch (e) {
+      // Purged while we were reading it
+    }
+  }
+
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  let removed = 0;
+  let freedBytes = 0;
+
+  entries.sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const entry of entries) {
+    if (totalBytes <= maxBytes) break;
+    if ([...pending.keys()].some(key => key.startsWith(entry.dir + sep))) continue;
+
+    await rm(entry.dir, { recursive: true, force: true });
+    totalBytes -= entry.bytes;
+    freedBytes += entry.bytes;
+    removed++;
+  }
+
+  return { removed, freedBytes, totalBytes };
+}
+
+export default {
+  IMAGE_CACHE_DIR,
+  IMAGE_FORMATS,
+  IMAGE_VARIANTS,
+  parseVariant,
+  negotiateFormat,
+  pickSourceUrl,
+  getImageVariant,
+  purgeImageCache,
+  pruneImageCache
+};
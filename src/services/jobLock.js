@@ -0,0 +1,80 @@
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+import JobLock from '../models/JobLock.js';
+
+// Identifies this process as a lock holder
+const INSTANCE_ID = `${hostname()}:${process.pid}:${randomBytes(3).toString('hex')}`;
+
+/**
+ * Try to take a lease lock
+ * Succeeds only if the lock is free or its lease has expired, so a second
+ * run in this process is refused just like one on another instance.
+ * @param {string} name - Lock name
+ * @param {Object} options - Lease options
+ * @param {number} options.ttlMs - Lease length; renew before it runs out
+ * @param {Object} options.runId - Job run holding the lock
+ * @returns {Promise<Object | null>} The lock, or null if someone else holds it
+ */
+export async function acquireLock(name, { ttlMs, runId = null }) {
+  const now = new Date();
+  
+  try {
+    return await JobLock.findOneAndUpdate(
+      {
+        _id: name,
+        expires_at: { $lte: now }
+      },
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          run_id: runId,
+          acquired_at: now,
+          expires_at: new Date(now.getTime() + ttlMs)
+        }
+      },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (error) {
+    // The upsert collides with the live lock's _id when it's held elsewhere
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extend a lease we hold
+ * @param {string} name - Lock name
+ * @param {number} ttlMs - New lease length from now
+ * @param {Object} runId - Job run holding the lock
+ * @returns {Promise<boolean>} false if the lease was lost
+ */
+export async function renewLock(name, ttlMs, runId = null) {
+  const result = await JobLock.updateOne(
+    { _id: name, owner: INSTANCE_ID, run_id: runId },
+    { $set: { expires_at: new Date(Date.now() + ttlMs) } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Release a lock we hold for a run (a lease lost to another run is left alone)
+ */
+export async function releaseLock(name, runId = null) {
+  return JobLock.deleteOne({ _id: name, owner: INSTANCE_ID, run_id: runId });
+}
+
+/**
+ * Get the current holder of a lock, if its lease is live
+ */
+export async function getActiveLock(name) {
+  return JobLock.findOne({ _id: name, expires_at: { $gt: new Date() } }).lean();
+}
+
+export default {
+  acquireLock,
+  renewLock,
+  releaseLock,
+  getActiveLock
+};
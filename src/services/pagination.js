@@ -0,0 +1,126 @@
+/**
+ * Cursor pagination helpers
+ * Cursors are opaque base64url strings holding the sort key values of the
+ * last item on a page, so the next page starts right after it regardless of
+ * how many wallpapers were added in the meantime.
+ */
+
+import { randomBytes, createHash } from 'crypto';
+
+// Modulus for seeded random ranks (prime, small enough that
+// random_key * multiplier stays within double precision)
+export const RANDOM_KEY_MODULUS = 1000003;
+
+/**
+ * Generate a random key for a new wallpaper (used by seeded shuffles)
+ */
+export function createRandomKey() {
+  return Math.floor(Math.random() * RANDOM_KEY_MODULUS);
+}
+
+/**
+ * Generate a seed for a new random feed
+ */
+export function createSeed() {
+  return randomBytes(6).toString('hex');
+}
+
+/**
+ * Aggregation expression ranking documents by `random_key` under a seed
+ * Maps random_key through an affine permutation mod a prime, so every seed
+ * gives its own stable order
+ * @param {string} seed - Client-supplied or generated seed
+ */
+export function seededRankExpr(seed) {
+  const digest = createHash('sha256').update(String(seed)).digest();
+  const multiplier = (digest.readUInt32BE(0) % (RANDOM_KEY_MODULUS - 1)) + 1;
+  const offset = digest.readUInt32BE(4) % RANDOM_KEY_MODULUS;
+
+  return {
+    $mod: [
+      { $add: [{ $multiply: [{ $ifNull: ['$random_key', 0] }, multiplier] }, offset] },
+      RANDOM_KEY_MODULUS
+    ]
+  };
+}
+
+/**
+ * Encode a cursor
+ * @param {Object} cursor - { sort, seed, values }
+ */
+export function encodeCursor({ sort, seed = null, values }) {
+  const payload = {
+    s: sort,
+    v: values.map(v => (v instanceof Date ? { $d: v.toISOString() } : v))
+  };
+  if (seed) {
+    payload.r = seed;
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} value - Cursor string from the client
+ * @returns {{ sort: string, seed: string | null, values: Array } | null} null if malformed
+ */
+export function decodeCursor(value) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.s !== 'string' || !Array.isArray(payload.v)) {
+      return null;
+    }
+
+    const values = payload.v.map(v => (v && typeof v === 'object' && v.$d ? new Date(v.$d) : v));
+
+    // Only plain values may reach the query, never operator objects
+    const isPlain = v => v === null || v instanceof Date || ['string', 'number'].includes(typeof v);
+    if (!values.every(isPlain) || (payload.r && typeof payload.r !== 'string')) {
+      return null;
+    }
+
+    return {
+      sort: payload.s,
+      seed: payload.r || null,
+      values
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build a keyset filter matching everything after the cursor position
+ * @param {Array<[string, number]>} sortFields - [field, direction] pairs, last must be unique
+ * @param {Array} values - Sort key values of the last item seen
+ */
+export function buildKeysetFilter(sortFields, values) {
+  const clauses = sortFields.map(([field, direction], i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) {
+      clause[sortFields[j][0]] = values[j];
+    }
+    clause[field] = { [direction < 0 ? '$lt' : '$gt']: values[i] };
+    return clause;
+  });
+
+  return { $or: clauses };
+}
+
+/**
+ * Convert [field, direction] pairs to a $sort spec
+ */
+export function toSortSpec(sortFields) {
+  return Object.fromEntries(sortFields);
+}
+
+export default {
+  RANDOM_KEY_MODULUS,
+  createRandomKey,
+  createSeed,
+  seededRankExpr,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter,
+  toSortSpec
+};
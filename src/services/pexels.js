@@ -1,6 +1,15 @@
 import axios from 'axios';
+import { attachQuotaTracking, parseRateLimitHeaders } from './quota.js';
 
-const PEXELS_BASE_URL = 'https://api.pexels.com/v1';
+// Overridable so the provider can be pointed at a local stand-in
+const PEXELS_BASE_URL = process.env.PEXELS_API_URL || 'https://api.pexels.com/v1';
+
+export const name = 'pexels';
+export const maxPerPage = 80;
+// Pexels has no tags, not even on detail calls
+export const detailTags = false;
+// Bounds of the smaller image URLs; tiny is cropped, so only large keeps the whole photo
+export const imageSizes = { url_regular: { width: 940, height: 650 } };
 
 /**
  * Create Pexels API client
@@ -12,6 +21,16 @@ const pexelsClient = axios.create({
   }
 });
 
+attachQuotaTracking(pexelsClient, name, { limit: 200, windowMs: 60 * 60 * 1000, getRateLimitInfo });
+
+/**
+ * Whether an API key is configured
+ */
+export function isConfigured() {
+  const key = process.env.PEXELS_API_KEY;
+  return Boolean(key) && !key.includes('your_');
+}
+
 /**
  * Normalize Pexels photo to our wallpaper format
  * @param {Object} photo - Pexels photo object
@@ -46,15 +65,16 @@ function normalizePhoto(photo, category) {
  * @param {string} category - Category slug to assign
  * @param {number} page - Page number
  * @param {number} perPage - Results per page (max 80)
+ * @param {string} orientation - 'portrait', 'landscape' or 'square'
  */
-export async function searchPhotos(query, category, page = 1, perPage = 30) {
+export async function searchPhotos(query, category, page = 1, perPage = 30, orientation = 'portrait') {
   try {
     const response = await pexelsClient.get('/search', {
       params: {
         query,
         page,
         per_page: perPage,
-        orientation: 'portrait' // Mobile wallpapers
+        orientation
       }
     });
 
@@ -82,7 +102,7 @@ export async function getCuratedPhotos(category = null, page = 1, perPage = 30)
     });
 
     const photos = response.data.photos || [];
-    return photos.map(photo => normalizePhoto(photo, category || 'featured'));
+    return photos.map(photo => normalizePhoto(photo, category));
   } catch (error) {
     console.error('❌ Pexels curated photos error:', error.response?.data || error.message);
     throw error;
@@ -104,17 +124,29 @@ export async function getPhotoById(photoId) {
 }
 
 /**
- * Get remaining rate limit info from headers
+ * Track download
+ * Pexels has no download endpoint, so this is a no-op kept for the provider interface
  */
-export function getRateLimitInfo(headers) {
-  return {
-    remaining: parseInt(headers['x-ratelimit-remaining'] || '0'),
-    limit: parseInt(headers['x-ratelimit-limit'] || '200')
-  };
+export async function trackDownload() {}
+
+/**
+ * Read rate limit info from response headers (called by the quota manager)
+ * Pexels sends the standard X-Ratelimit-* headers (reset as epoch seconds)
+ * @returns {{ limit: number | null, remaining: number | null, resetAt: number | null }}
+ */
+export function getRateLimitInfo(headers, now = Date.now()) {
+  return parseRateLimitHeaders(headers, now);
 }
 
 export default {
+  name,
+  maxPerPage,
+  detailTags,
+  imageSizes,
+  isConfigured,
   searchPhotos,
   getCuratedPhotos,
-  getPhotoById
+  getPhotoById,
+  trackDownload,
+  getRateLimitInfo
 };
@@ -0,0 +1,87 @@
+/**
+ * Perceptual hashing
+ * A 64-bit difference hash (dHash) of an image: similar images differ in few
+ * bits regardless of size, format or compression, so the same photo from two
+ * providers hashes within a small Hamming distance.
+ */
+
+import sharp from 'sharp';
+
+// The hash is split into bands for lookup: any two hashes within
+// PHASH_BANDS - 1 bits of each other share at least one identical band
+export const PHASH_BANDS = 8;
+
+// Flat or smoothly graded images (solid colors, gradients) hash to (nearly)
+// all zeros or all ones, so any two of them would look like duplicates.
+// Hashes with fewer set or unset bits than this are too plain to match on.
+const MIN_PHASH_BITS = 8;
+
+/**
+ * Compute the dHash of an image
+ * @param {Buffer} image - Encoded image
+ * @returns {Promise<string>} 16 hex characters
+ */
+export async function computePhash(image) {
+  // 9x8 grayscale: each row gives 8 left/right brightness comparisons
+  const pixels = await sharp(image)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const i = row * 9 + col;
+      byte = (byte << 1) | (pixels[i] < pixels[i + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+/**
+ * Number of differing bits between two hashes
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let diff = parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Whether a hash carries enough detail to match images on
+ */
+export function isDistinctivePhash(hash) {
+  if (typeof hash !== 'string' || !/^[0-9a-f]{16}$/.test(hash)) return false;
+
+  const bits = hammingDistance(hash, '0000000000000000');
+  return bits >= MIN_PHASH_BITS && bits <= 64 - MIN_PHASH_BITS;
+}
+
+/**
+ * Split a hash into indexed band keys ("<band>:<hex>")
+ * Plain hashes (see isDistinctivePhash) get none, so they're never matched
+ */
+export function phashBands(hash) {
+  if (!isDistinctivePhash(hash)) return [];
+
+  const size = hash.length / PHASH_BANDS;
+  return Array.from({ length: PHASH_BANDS }, (_, i) => `${i}:${hash.slice(i * size, (i + 1) * size)}`);
+}
+
+export default {
+  PHASH_BANDS,
+  computePhash,
+  hammingDistance,
+  isDistinctivePhash,
+  phashBands
+};
@@ -0,0 +1,60 @@
+/**
+ * Photographer identity
+ * Photographers are keyed by a slug of their source and account handle, taken
+ * from their profile URL ("unsplash-jane-doe" for unsplash.com/@jane_doe), so
+ * two people sharing a display name get separate profiles. Without a profile
+ * URL the display name stands in. The same person on two providers gets two
+ * profiles: we can't tell them apart from a namesake.
+ */
+
+import { createHash } from 'crypto';
+
+// What providers put in place of a missing author name
+const UNKNOWN_NAMES = new Set(['unknown', 'anonymous']);
+
+/**
+ * Account handle from a provider profile URL: its last path segment
+ * ("https://unsplash.com/@jane_doe" → "jane_doe", ".../users/jane-4821/" → "jane-4821")
+ * @returns {string | null} null if the URL can't be parsed
+ */
+function profileHandle(url) {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    return segments.at(-1)?.replace(/^@/, '') || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build the slug a photographer is browsed by
+ * Handles or names with no Latin letters or digits fall back to a hash
+ * @param {string} source - Provider name
+ * @param {string} name - Photographer name as the provider reports it
+ * @param {string} profileUrl - Photographer's profile URL, if any
+ * @returns {string | null} null without a handle or a real name
+ */
+export function photographerSlug(source, name, profileUrl = null) {
+  if (!source) return null;
+
+  let key = profileUrl ? profileHandle(profileUrl) : null;
+  if (!key) {
+    if (typeof name !== 'string' || !name.trim() || UNKNOWN_NAMES.has(name.trim().toLowerCase())) return null;
+    key = name.trim();
+  }
+
+  const slug = key
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+
+  return `${source}-${slug || createHash('sha1').update(key).digest('hex').slice(0, 10)}`;
+}
+
+export default {
+  photographerSlug
+};
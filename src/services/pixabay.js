@@ -0,0 +1,174 @@
+import axios from 'axios';
+import { attachQuotaTracking, parseRateLimitHeaders } from './quota.js';
+
+// Overridable so the provider can be pointed at a local stand-in
+const PIXABAY_BASE_URL = process.env.PIXABAY_API_URL || 'https://pixabay.com/api';
+
+export const name = 'pixabay';
+export const maxPerPage = 200;
+// Search results already carry all tags
+export const detailTags = false;
+// Bounds of the smaller image URLs (previewURL, webformatURL) by longest edge
+export const imageSizes = { url_thumb: { width: 150, height: 150 }, url_regular: { width: 640, height: 640 } };
+
+// Pixabay has no square filter, so square runs fetch everything
+const ORIENTATION_MAP = {
+  portrait: 'vertical',
+  landscape: 'horizontal',
+  square: 'all'
+};
+
+/**
+ * Create Pixabay API client
+ * The key goes in the query string rather than a header
+ */
+const pixabayClient = axios.create({
+  baseURL: PIXABAY_BASE_URL
+});
+
+attachQuotaTracking(pixabayClient, name, { limit: 100, windowMs: 60 * 1000, getRateLimitInfo });
+
+function withKey(params) {
+  return {
+    key: process.env.PIXABAY_API_KEY,
+    image_type: 'photo',
+    safesearch: true,
+    ...params
+  };
+}
+
+/**
+ * Whether an API key is configured
+ */
+export function isConfigured() {
+  const key = process.env.PIXABAY_API_KEY;
+  return Boolean(key) && !key.includes('your_');
+}
+
+/**
+ * Normalize Pixabay hit to our wallpaper format
+ * @param {Object} photo - Pixabay hit object
+ * @param {string} category - Category slug
+ */
+function normalizePhoto(photo, category) {
+  const tags = (photo.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+  
+  return {
+    id: `pixabay_${photo.id}`,
+    source: 'pixabay',
+    external_id: String(photo.id),
+    title: tags.length > 0 ? tags.join(', ') : 'Untitled',
+    photographer: photo.user || 'Unknown',
+    photographer_url: photo.user ? `https://pixabay.com/users/${photo.user}-${photo.user_id}/` : null,
+    url_thumb: photo.previewURL || photo.webformatURL,
+    url_regular: photo.webformatURL,
+    url_full: photo.largeImageURL,
+    url_raw: photo.imageURL || photo.fullHDURL || photo.largeImageURL,
+    width: photo.imageWidth,
+    height: photo.imageHeight,
+    color: null, // Pixabay doesn't provide a dominant color
+    blur_hash: null,
+    category: category,
+    tags: JSON.stringify(tags),
+    is_featured: 0,
+    is_ai_generated: 0
+  };
+}
+
+/**
+ * Search photos by query
+ * @param {string} query - Search query
+ * @param {string} category - Category slug to assign
+ * @param {number} page - Page number
+ * @param {number} perPage - Results per page (3-200)
+ * @param {string} orientation - 'portrait', 'landscape' or 'square'
+ */
+export async function searchPhotos(query, category, page = 1, perPage = 30, orientation = 'portrait') {
+  try {
+    const response = await pixabayClient.get('/', {
+      params: withKey({
+        q: query,
+        page,
+        per_page: Math.max(perPage, 3),
+        orientation: ORIENTATION_MAP[orientation] || 'all',
+        order: 'popular'
+      })
+    });
+
+    const photos = response.data.hits || [];
+    return photos.map(photo => normalizePhoto(photo, category));
+  } catch (error) {
+    console.error('❌ Pixabay search error:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get editor's choice photos
+ * @param {string} category - Category slug to assign
+ * @param {number} page - Page number
+ * @param {number} perPage - Results per page
+ */
+export async function getCuratedPhotos(category = null, page = 1, perPage = 30) {
+  try {
+    const response = await pixabayClient.get('/', {
+      params: withKey({
+        editors_choice: true,
+        order: 'popular',
+        page,
+        per_page: Math.max(perPage, 3)
+      })
+    });
+
+    const photos = response.data.hits || [];
+    return photos.map(photo => normalizePhoto(photo, category));
+  } catch (error) {
+    console.error('❌ Pixabay curated photos error:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single photo by ID
+ * @param {string} photoId - Pixabay image ID
+ */
+export async function getPhotoById(photoId) {
+  try {
+    const response = await pixabayClient.get('/', {
+      params: withKey({ id: photoId })
+    });
+    const photo = response.data.hits?.[0];
+    return photo ? normalizePhoto(photo, null) : null;
+  } catch (error) {
+    console.error('❌ Pixabay get photo error:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Track download
+ * Pixabay has no download endpoint, so this is a no-op kept for the provider interface
+ */
+export async function trackDownload() {}
+
+/**
+ * Read rate limit info from response headers (called by the quota manager)
+ * Pixabay sends the standard X-Ratelimit-* headers (reset in seconds)
+ * @returns {{ limit: number | null, remaining: number | null, resetAt: number | null }}
+ */
+export function getRateLimitInfo(headers, now = Date.now()) {
+  return parseRateLimitHeaders(headers, now);
+}
+
+export default {
+  name,
+  maxPerPage,
+  detailTags,
+  imageSizes,
+  isConfigured,
+  searchPhotos,
+  getCuratedPhotos,
+  getPhotoById,
+  trackDownload,
+  getRateLimitInfo
+};
@@ -0,0 +1,109 @@
+/**
+ * Image placeholders
+ * Computes a BlurHash and a tiny base64 JPEG (LQIP) from a wallpaper's
+ * image, so clients have something to show while the full image loads. The
+ * perceptual hash used for duplicate detection comes from the same download.
+ */
+
+import axios from 'axios';
+import sharp from 'sharp';
+import { encode } from 'blurhash';
+import { computePhash } from './phash.js';
+
+// BlurHash is encoded from a small copy; more pixels only cost time
+const BLURHASH_SIZE = 32;
+const LQIP_WIDTH = 16;
+
+// Images fetched at once while enriching a batch
+const CONCURRENCY = 4;
+
+/**
+ * Compute placeholders from image data
+ * @param {Buffer} image - Encoded image (JPEG, PNG, WebP, ...)
+ * @returns {Promise<{ blur_hash: string, lqip: string }>}
+ */
+export async function computePlaceholders(image) {
+  const { data, info } = await sharp(image)
+    .rotate()
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // 4 components along the longer side, 3 along the shorter
+  const [componentsX, componentsY] = info.width >= info.height ? [4, 3] : [3, 4];
+  const blurHash = encode(new Uint8ClampedArray(data), info.width, info.height, componentsX, componentsY);
+
+  const lqip = await sharp(image)
+    .rotate()
+    .resize({ width: LQIP_WIDTH })
+    .jpeg({ quality: 40 })
+    .toBuffer();
+
+  return {
+    blur_hash: blurHash,
+    lqip: `data:image/jpeg;base64,${lqip.toString('base64')}`
+  };
+}
+
+/**
+ * Download a wallpaper's image and compute its placeholders and perceptual hash
+ * Uses the regular size: Pexels and Wallhaven thumbnails are center crops,
+ * which would neither blur nor hash like the full frame.
+ * Keeps a BlurHash the provider already supplied (Unsplash)
+ * @param {Object} wallpaper - Wallpaper with url_regular/url_thumb and optional blur_hash
+ * @returns {Promise<{ blur_hash: string, lqip: string, phash: string }>}
+ */
+export async function fetchPlaceholders(wallpaper) {
+  const response = await axios.get(wallpaper.url_regular || wallpaper.url_thumb, {
+    responseType: 'arraybuffer',
+    timeout: 15000
+  });
+
+  const image = Buffer.from(response.data);
+  const placeholders = await computePlaceholders(image);
+  if (wallpaper.blur_hash) {
+    placeholders.blur_hash = wallpaper.blur_hash;
+  }
+  placeholders.phash = await computePhash(image);
+  return placeholders;
+}
+
+/**
+ * Whether a wallpaper still needs placeholders (or its perceptual hash)
+ */
+export function needsPlaceholders(wallpaper) {
+  return !wallpaper.blur_hash || !wallpaper.lqip || !wallpaper.phash;
+}
+
+/**
+ * Compute placeholders for many wallpapers, a few at a time
+ * Failures are reported per wallpaper instead of failing the batch
+ * @param {Object[]} wallpapers - Wallpapers with thumbnail URLs
+ * @returns {Promise<Array<{ wallpaper: Object, placeholders?: Object, error?: string }>>}
+ */
+export async function fetchPlaceholdersBatch(wallpapers) {
+  const results = new Array(wallpapers.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < wallpapers.length) {
+      const i = next++;
+      try {
+        results[i] = { wallpaper: wallpapers[i], placeholders: await fetchPlaceholders(wallpapers[i]) };
+      } catch (error) {
+        results[i] = { wallpaper: wallpapers[i], error: error.message };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, wallpapers.length) }, worker));
+  return results;
+}
+
+export default {
+  computePlaceholders,
+  fetchPlaceholders,
+  needsPlaceholders,
+  fetchPlaceholdersBatch
+};
@@ -0,0 +1,60 @@
+/**
+ * Image provider registry
+ *
+ * Every provider module exposes the same interface:
+ * - name: source name stored on wallpapers
+ * - maxPerPage: largest page size the API allows
+ * - detailTags: whether getPhotoById returns tags that search results lack
+ * - imageSizes: { url_thumb, url_regular } bounds ({ width, height }) the original
+ *   is scaled to fit, for those URLs that keep the whole image; read by the image cache
+ * - isConfigured(): whether credentials/opt-in are present
+ * - searchPhotos(query, category, page, perPage, orientation)
+ * - getCuratedPhotos(category, page, perPage): curated/popular/editor's picks
+ * - getPhotoById(id)
+ * - trackDownload(id): provider-side download tracking (no-op if unsupported)
+ * - getRateLimitInfo(headers): { limit, remaining, resetAt }, read by the quota manager
+ *
+ * To add a source, implement the interface in services/<name>.js and list it below.
+ */
+
+import unsplash from './unsplash.js';
+import pexels from './pexels.js';
+import pixabay from './pixabay.js';
+import wallhaven from './wallhaven.js';
+
+// Default priority order; override with PROVIDER_ORDER=pexels,unsplash,...
+const PROVIDERS = [unsplash, pexels, pixabay, wallhaven];
+
+export const PROVIDER_NAMES = PROVIDERS.map(p => p.name);
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name (matches Wallpaper.source)
+ */
+export function getProvider(name) {
+  return PROVIDERS.find(p => p.name === name) || null;
+}
+
+/**
+ * Get providers in priority order
+ * @param {Object} options - Options
+ * @param {boolean} options.configuredOnly - Skip providers without credentials
+ */
+export function getProviders({ configuredOnly = true } = {}) {
+  const order = (process.env.PROVIDER_ORDER || '')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
+  
+  const ordered = order.length > 0
+    ? order.map(getProvider).filter(Boolean)
+    : PROVIDERS;
+  
+  return configuredOnly ? ordered.filter(p => p.isConfigured()) : ordered;
+}
+
+export default {
+  PROVIDER_NAMES,
+  getProvider,
+  getProviders
+};
@@ -0,0 +1,202 @@
+/**
+ * Provider quota manager
+ * Watches the rate-limit headers on every provider response, so fetch jobs can
+ * spread each provider's remaining budget across the work left in a run and
+ * pause a provider once it is nearly exhausted until its window resets.
+ */
+
+const quotas = new Map();
+
+/**
+ * Attach quota tracking to a provider's axios client
+ * @param {Object} client - Axios instance
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider limits
+ * @param {number} options.limit - Requests per window when headers are missing
+ * @param {number} options.windowMs - Rate-limit window length
+ * @param {number} options.reserve - Requests to keep back (e.g. for download tracking)
+ * @param {Function} options.getRateLimitInfo - The provider's header parser (default parseRateLimitHeaders)
+ */
+export function attachQuotaTracking(client, name, { limit, windowMs, reserve = 1, getRateLimitInfo = parseRateLimitHeaders }) {
+  quotas.set(name, {
+    limit,
+    remaining: limit,
+    windowMs,
+    reserve,
+    getRateLimitInfo,
+    resetAt: null,
+    updatedAt: null
+  });
+
+  client.interceptors.response.use(
+    response => {
+      recordResponse(name, response.status, response.headers);
+      return response;
+    },
+    error => {
+      if (error.response) {
+        recordResponse(name, error.response.status, error.response.headers);
+      }
+      return Promise.reject(error);
+    }
+  );
+}
+
+/**
+ * Parse a numeric header, null when missing or unparseable
+ */
+function parseHeader(value) {
+  const number = parseInt(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Read the standard X-Ratelimit-Limit/Remaining/Reset headers
+ * Reset may be epoch seconds or seconds from now.
+ * @param {Object} headers - Response headers (axios lowercases names)
+ * @returns {{ limit: number | null, remaining: number | null, resetAt: number | null }} null where a header is missing
+ */
+export function parseRateLimitHeaders(headers = {}, now = Date.now()) {
+  const reset = parseHeader(headers['x-ratelimit-reset']);
+
+  return {
+    limit: parseHeader(headers['x-ratelimit-limit']),
+    remaining: parseHeader(headers['x-ratelimit-remaining']),
+    resetAt: reset === null ? null : reset > 1e9 ? reset * 1000 : now + reset * 1000
+  };
+}
+
+/**
+ * Update a provider's quota from a response
+ * @param {string} name - Provider name
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers (axios lowercases names)
+ */
+export function recordResponse(name, status, headers = {}, now = Date.now()) {
+  const quota = quotas.get(name);
+  if (!quota) return;
+
+  refresh(quota, now);
+
+  const { limit, remaining, resetAt } = quota.getRateLimitInfo(headers, now);
+
+  if (limit) {
+    quota.limit = limit;
+  }
+
+  if (remaining !== null) {
+    quota.remaining = remaining;
+  } else {
+    // No usable header: count the request ourselves
+    quota.remaining = Math.max(0, quota.remaining - 1);
+  }
+
+  // Unsplash answers 403 and others 429 once the quota is gone
+  if (status === 429 || (status === 403 && quota.remaining <= 0)) {
+    quota.remaining = 0;
+  }
+
+  if (resetAt) {
+    quota.resetAt = resetAt;
+  } else if (!quota.resetAt) {
+    quota.resetAt = now + quota.windowMs;
+  }
+
+  quota.updatedAt = now;
+
+  if (quota.remaining <= quota.reserve) {
+    console.log(`⏸️ ${name} quota nearly exhausted, paused until ${new Date(quota.resetAt).toISOString()}`);
+  }
+}
+
+/**
+ * Restore the full budget once the window has passed
+ */
+function refresh(quota, now) {
+  if (quota.resetAt && now >= quota.resetAt) {
+    quota.remaining = quota.limit;
+    quota.resetAt = null;
+  }
+}
+
+/**
+ * Requests a provider can still make this window (after its reserve)
+ * @param {string} name - Provider name
+ */
+export function getAvailable(name, now = Date.now()) {
+  const quota = quotas.get(name);
+  if (!quota) return Infinity;
+
+  refresh(quota, now);
+  return Math.max(0, quota.remaining - quota.reserve);
+}
+
+/**
+ * Whether a provider is currently paused
+ */
+export function isPaused(name, now = Date.now()) {
+  return getAvailable(name, now) === 0;
+}
+
+/**
+ * How many requests the current unit of work (e.g. one category) may spend
+ * Spreads the available budget evenly over the units left in the run; when
+ * there are more units than requests, every k-th unit gets one.
+ * @param {string} name - Provider name
+ * @param {number} unitsLeft - Units left in the run, including this one
+ */
+export function getAllowance(name, unitsLeft, now = Date.now()) {
+  const available = getAvailable(name, now);
+  if (available === Infinity) return Infinity;
+  if (available === 0) return 0;
+
+  const units = Math.max(1, unitsLeft);
+  const share = Math.floor(available / units);
+  if (share > 0) return share;
+
+  const every = Math.ceil(units / available);
+  return units % every === 0 ? 1 : 0;
+}
+
+/**
+ * Earliest time any of the given providers comes back from a pause
+ * @param {string[]} names - Provider names
+ * @returns {number | null} Epoch ms, or null if none is paused with a known reset
+ */
+export function getResumeTime(names, now = Date.now()) {
+  const resets = names
+    .filter(name => isPaused(name, now))
+    .map(name => quotas.get(name)?.resetAt)
+    .filter(Boolean);
+
+  return resets.length > 0 ? Math.min(...resets) : null;
+}
+
+/**
+ * Snapshot of every provider's quota (for the admin API and logs)
+ */
+export function getQuotaStatus(now = Date.now()) {
+  return [...quotas.entries()].map(([name, quota]) => {
+    refresh(quota, now);
+    return {
+      provider: name,
+      limit: quota.limit,
+      remaining: quota.remaining,
+      reserve: quota.reserve,
+      paused: quota.remaining <= quota.reserve,
+      resetAt: quota.resetAt ? new Date(quota.resetAt) : null,
+      updatedAt: quota.updatedAt ? new Date(quota.updatedAt) : null
+    };
+  });
+}
+
+export default {
+  attachQuotaTracking,
+  parseRateLimitHeaders,
+  recordResponse,
+  getAvailable,
+  isPaused,
+  getAllowance,
+  getResumeTime,
+  getQuotaStatus
+};
@@ -0,0 +1,105 @@
+/**
+ * Content-based similar wallpapers
+ * Candidates that share tags, color or photographer with the wallpaper (topped
+ * up from its categories, plus anything often downloaded by the same clients)
+ * are scored on shared tags, color, aspect ratio, photographer, co-downloads
+ * and shared categories. Ties are broken by downloads and ID, so the same
+ * wallpaper always gets the same list.
+ */
+
+import { getSimilarCandidates, getCoDownloadCounts, getListedWallpapersByIds } from './database.js';
+import { deltaE } from './color.js';
+
+// How much each signal counts; they add up to 1
+const WEIGHTS = {
+  tags: 0.35,
+  color: 0.2,
+  coDownloads: 0.15,
+  aspect: 0.1,
+  photographer: 0.1,
+  category: 0.1
+};
+
+// Lab distance at which colors stop counting as similar
+const COLOR_RANGE = 60;
+// Aspect ratios twice as wide (or tall) stop counting as similar
+const ASPECT_RANGE = Math.log(2);
+// Co-downloading clients for the full co-download score
+const CO_DOWNLOAD_SATURATION = 5;
+
+// Candidates scored per request, besides co-downloads
+const POOL_SIZE = 300;
+
+/**
+ * Score how similar a candidate is to a wallpaper
+ * @param {Object} wallpaper - Wallpaper similar ones are wanted for
+ * @param {Object} candidate - Candidate wallpaper
+ * @param {number} coDownloads - Clients that downloaded both
+ * @returns {number} Similarity from 0 to 1
+ */
+export function scoreSimilarity(wallpaper, candidate, coDownloads = 0) {
+  const signals = {
+    tags: jaccard(wallpaper.tags, candidate.tags),
+    color: wallpaper.color_lab && candidate.color_lab
+      ? Math.max(0, 1 - deltaE(wallpaper.color_lab, candidate.color_lab) / COLOR_RANGE)
+      : 0,
+    coDownloads: Math.min(coDownloads / CO_DOWNLOAD_SATURATION, 1),
+    aspect: wallpaper.aspect_ratio && candidate.aspect_ratio
+      ? Math.max(0, 1 - Math.abs(Math.log(wallpaper.aspect_ratio / candidate.aspect_ratio)) / ASPECT_RANGE)
+      : 0,
+    photographer: wallpaper.photographer_slug &&
+      wallpaper.photographer_slug === candidate.photographer_slug ? 1 : 0,
+    category: jaccard(wallpaper.categories, candidate.categories) > 0 ? 1 : 0
+  };
+
+  let score = 0;
+  for (const [signal, weight] of Object.entries(WEIGHTS)) {
+    score += signals[signal] * weight;
+  }
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Overlap of two sets (intersection over union)
+ */
+function jaccard(a = [], b = []) {
+  if (!a?.length || !b?.length) return 0;
+
+  const setA = new Set(a);
+  const shared = new Set(b.filter(value => setA.has(value))).size;
+  return shared / (setA.size + new Set(b).size - shared);
+}
+
+/**
+ * Find the wallpapers most similar to one
+ * @param {Object} wallpaper - Wallpaper to match
+ * @param {Object} options - Lookup options
+ * @param {number} options.limit - Max results
+ * @returns {Promise<Object[]>} Wallpapers with a `similarity` score, most similar first
+ */
+export async function findSimilarWallpapers(wallpaper, { limit = 10 } = {}) {
+  const coDownloads = await getCoDownloadCounts(wallpaper._id);
+  const coCounts = new Map(coDownloads.map(c => [c._id, c.count]));
+
+  const pool = await getSimilarCandidates(wallpaper, { limit: POOL_SIZE });
+
+  const pooled = new Set(pool.map(w => w._id));
+  pool.push(...await getListedWallpapersByIds([...coCounts.keys()].filter(id => !pooled.has(id))));
+
+  return pool
+    .filter(candidate => candidate._id !== wallpaper._id)
+    .map(candidate => ({
+      ...candidate,
+      similarity: scoreSimilarity(wallpaper, candidate, coCounts.get(candidate._id) || 0)
+    }))
+    .sort((a, b) =>
+      b.similarity - a.similarity ||
+      (b.downloads || 0) - (a.downloads || 0) ||
+      (a._id < b._id ? -1 : a._id > b._id ? 1 : 0))
+    .slice(0, limit);
+}
+
+export default {
+  scoreSimilarity,
+  findSimilarWallpapers
+};
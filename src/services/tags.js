@@ -0,0 +1,207 @@
+/**
+ * Tag enrichment
+ * Providers tag inconsistently (Pexels not at all in search results), so
+ * tags are derived at ingest from the provider's tags, the title/alt text
+ * and the category's keywords, all normalized to lowercase singular words.
+ */
+
+// Most tags a wallpaper keeps
+export const MAX_TAGS = 20;
+
+// Words that describe nothing about the image
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'over', 'that', 'the', 'their', 'there', 'this', 'to',
+  'under', 'up', 'was', 'were', 'with', 'without', 'near', 'during', 'while', 'through',
+  'some', 'very', 'two', 'three', 'one', 'his', 'her', 'him', 'she', 'they', 'them', 'who',
+  'photo', 'photography', 'image', 'picture', 'pic', 'free', 'stock', 'hd', 'untitled',
+  'wallpaper', 'wallpapers', 'background', 'view', 'shot', 'close', 'closeup', 'top', 'side'
+]);
+
+// Plurals that don't follow the simple rules below
+const IRREGULAR = {
+  leaves: 'leaf',
+  wolves: 'wolf',
+  knives: 'knife',
+  people: 'person',
+  children: 'child',
+  mice: 'mouse',
+  geese: 'goose',
+  teeth: 'tooth',
+  feet: 'foot'
+};
+
+// Words that end in s but aren't plurals (or have no singular)
+const KEEP = new Set([
+  'christmas', 'canvas', 'atlas', 'gas', 'texas', 'vegas', 'pampas', 'pajamas', 'alias',
+  'lens', 'news', 'series', 'species', 'mercedes', 'diabetes', 'athens', 'wales', 'mars',
+  'clothes', 'jeans', 'pants', 'shorts', 'scissors', 'sunglasses', 'binoculars'
+]);
+const KEEP_S = /(ss|us|is|os|ics|ness)$/;
+
+// Stems the old rules cut out of words they shouldn't have touched, so tags
+// stored before the fix are repaired when they are normalized again
+export const MANGLED_TAGS = {
+  christma: 'christmas',
+  canva: 'canvas',
+  atla: 'atlas',
+  pajama: 'pajamas',
+  len: 'lens',
+  sery: 'series',
+  specy: 'species',
+  mercede: 'mercedes',
+  diabete: 'diabetes',
+  movy: 'movie',
+  cooky: 'cookie',
+  zomby: 'zombie',
+  selfy: 'selfie',
+  hoody: 'hoodie',
+  prairy: 'prairie',
+  calory: 'calorie'
+};
+
+// Singulars of -ies plurals that end in y; other -ies words just lose the s (movies, cookies)
+const Y_SINGULARS = new Set([
+  'army', 'baby', 'bakery', 'berry', 'blackberry', 'blueberry', 'body', 'bunny', 'butterfly',
+  'candy', 'canopy', 'cherry', 'city', 'country', 'cranberry', 'daddy', 'daisy', 'dragonfly',
+  'enemy', 'factory', 'fairy', 'family', 'fantasy', 'ferry', 'firefly', 'fly', 'galaxy', 'hobby',
+  'jelly', 'kitty', 'lady', 'library', 'lily', 'memory', 'mummy', 'mystery', 'party', 'pastry',
+  'penny', 'pony', 'poppy', 'puppy', 'raspberry', 'sky', 'spy', 'story', 'strawberry'
+]);
+
+/**
+ * Reduce a plural word to its singular form (good enough for tags)
+ */
+function singularize(word) {
+  if (IRREGULAR[word]) return IRREGULAR[word];
+  if (MANGLED_TAGS[word]) return MANGLED_TAGS[word];
+  if (word.length <= 3 || KEEP.has(word) || KEEP_S.test(word)) return word;
+  if (word.endsWith('ies')) {
+    const singular = `${word.slice(0, -3)}y`;
+    return Y_SINGULARS.has(singular) ? singular : word.slice(0, -1);
+  }
+  if (/(ches|shes|xes|sses|zes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Normalize a tag: lowercase, ASCII-folded, single spaces, singular last word
+ * @param {string} value - Raw tag
+ * @returns {string | null} null if nothing useful is left
+ */
+export function normalizeTag(value) {
+  if (typeof value !== 'string') return null;
+
+  const words = value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words.length === 0 || words.length > 3) return null;
+
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  const tag = words.join(' ');
+
+  if (tag.length < 3 || tag.length > 40 || STOP_WORDS.has(tag) || /^\d+$/.test(tag)) {
+    return null;
+  }
+  return tag;
+}
+
+/**
+ * Extract keyword tags from free text (titles, alt text, search queries)
+ * @param {string} text - Free text
+ * @returns {string[]}
+ */
+export function extractTags(text) {
+  if (typeof text !== 'string') return [];
+
+  return text
+    .split(/[\s,;:/|.!?()"]+/)
+    .map(word => normalizeTag(word))
+    .filter(Boolean);
+}
+
+/**
+ * Parse the tags a provider gave us (array or JSON string)
+ */
+function parseTags(tags) {
+  if (Array.isArray(tags)) return tags;
+  if (typeof tags === 'string') {
+    try {
+      const parsed = JSON.parse(tags);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Derive a wallpaper's tags
+ * Provider tags come first, then words from the title, then the category's
+ * keywords (its slug and name). The search query is left out: it lists
+ * alternatives ("lion tiger"), not what every result shows.
+ * @param {Object} wallpaper - Normalized provider result (tags, title)
+ * @param {Object} category - Optional category with slug and name
+ * @returns {string[]} Up to MAX_TAGS unique tags
+ */
+export function deriveTags(wallpaper, category = null) {
+  const tags = [
+    ...parseTags(wallpaper.tags).map(normalizeTag),
+    ...extractTags(wallpaper.title),
+    ...(category ? [...extractTags(category.slug?.replace(/-/g, ' ')), ...extractTags(category.name)] : [])
+  ].filter(Boolean);
+
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Pick the category whose keywords (slug, name, search query) share the most tags with a wallpaper
+ * For wallpapers found outside any category, like the providers' curated feeds
+ * @param {string[]} tags - The wallpaper's derived tags
+ * @param {Object[]} categories - Categories with slug, name and search_query
+ * @returns {Object | null} First best match, or null if no category shares a tag
+ */
+export function matchCategory(tags, categories = []) {
+  const wanted = new Set(tags);
+  let best = null;
+  let bestShared = 0;
+
+  for (const category of categories) {
+    const keywords = new Set([
+      ...extractTags(category.slug?.replace(/-/g, ' ')),
+      ...extractTags(category.name),
+      ...extractTags(category.search_query)
+    ]);
+    const shared = [...keywords].filter(keyword => wanted.has(keyword)).length;
+    if (shared > bestShared) {
+      best = category;
+      bestShared = shared;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse a `tag` query param: one tag or several, comma-separated
+ * @returns {string[]} Normalized tags (empty if none are usable)
+ */
+export function parseTagFilter(value) {
+  return [...new Set(String(value).split(',').map(normalizeTag).filter(Boolean))];
+}
+
+export default {
+  MAX_TAGS,
+  MANGLED_TAGS,
+  normalizeTag,
+  extractTags,
+  deriveTags,
+  matchCategory,
+  parseTagFilter
+};
@@ -1,6 +1,15 @@
 import axios from 'axios';
+import { attachQuotaTracking, parseRateLimitHeaders } from './quota.js';
 
-const UNSPLASH_BASE_URL = 'https://api.unsplash.com';
+// Overridable so the provider can be pointed at a local stand-in
+const UNSPLASH_BASE_URL = process.env.UNSPLASH_API_URL || 'https://api.unsplash.com';
+
+export const name = 'unsplash';
+export const maxPerPage = 30;
+// Search results carry few tags; the photo detail has the full list
+export const detailTags = true;
+// Bounds of the smaller image URLs, which scale the original down to fit them
+export const imageSizes = { url_thumb: { width: 200 }, url_regular: { width: 1080 } };
 
 /**
  * Create Unsplash API client
@@ -13,6 +22,17 @@ const unsplashClient = axios.create({
   }
 });
 
+// Keep a few requests back for download tracking, which Unsplash requires
+attachQuotaTracking(unsplashClient, name, { limit: 50, windowMs: 60 * 60 * 1000, reserve: 5, getRateLimitInfo });
+
+/**
+ * Whether an access key is configured
+ */
+export function isConfigured() {
+  const key = process.env.UNSPLASH_ACCESS_KEY;
+  return Boolean(key) && !key.includes('your_');
+}
+
 /**
  * Normalize Unsplash photo to our wallpaper format
  * @param {Object} photo - Unsplash photo object
@@ -47,15 +67,16 @@ function normalizePhoto(photo, category) {
  * @param {string} category - Category slug to assign
  * @param {number} page - Page number
  * @param {number} perPage - Results per page (max 30)
+ * @param {string} orientation - 'portrait', 'landscape' or 'square'
  */
-export async function searchPhotos(query, category, page = 1, perPage = 30) {
+export async function searchPhotos(query, category, page = 1, perPage = 30, orientation = 'portrait') {
   try {
     const response = await unsplashClient.get('/search/photos', {
       params: {
         query,
         page,
         per_page: perPage,
-        orientation: 'portrait', // Mobile wallpapers should be portrait
+        orientation: orientation === 'square' ? 'squarish' : orientation, // Unsplash calls it "squarish"
         order_by: 'relevant'
       }
     });
@@ -85,7 +106,7 @@ export async function getPopularPhotos(category = null, page = 1, perPage = 30)
     });
 
     const photos = response.data || [];
-    return photos.map(photo => normalizePhoto(photo, category || 'featured'));
+    return photos.map(photo => normalizePhoto(photo, category));
   } catch (error) {
     console.error('❌ Unsplash popular photos error:', error.response?.data || error.message);
     throw error;
@@ -121,18 +142,24 @@ export async function trackDownload(photoId) {
 }
 
 /**
- * Get remaining rate limit info from headers
+ * Read rate limit info from response headers (called by the quota manager)
+ * Unsplash sends the standard X-Ratelimit-* headers (hourly window)
+ * @returns {{ limit: number | null, remaining: number | null, resetAt: number | null }}
  */
-export function getRateLimitInfo(headers) {
-  return {
-    remaining: parseInt(headers['x-ratelimit-remaining'] || '0'),
-    limit: parseInt(headers['x-ratelimit-limit'] || '50')
-  };
+export function getRateLimitInfo(headers, now = Date.now()) {
+  return parseRateLimitHeaders(headers, now);
 }
 
 export default {
+  name,
+  maxPerPage,
+  detailTags,
+  imageSizes,
+  isConfigured,
   searchPhotos,
   getPopularPhotos,
+  getCuratedPhotos: getPopularPhotos,
   getPhotoById,
-  trackDownload
+  trackDownload,
+  getRateLimitInfo
 };
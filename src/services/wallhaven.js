@@ -0,0 +1,181 @@
+import axios from 'axios';
+import { attachQuotaTracking, parseRateLimitHeaders } from './quota.js';
+
+// Overridable so the provider can be pointed at a local stand-in
+const WALLHAVEN_BASE_URL = process.env.WALLHAVEN_API_URL || 'https://wallhaven.cc/api/v1';
+
+export const name = 'wallhaven';
+export const maxPerPage = 24; // Fixed by the API
+// Tags are only present on detail calls
+export const detailTags = true;
+// Thumbnails are cropped or of unknown size, so images render from the full file
+export const imageSizes = {};
+
+const RATIO_MAP = {
+  portrait: 'portrait',
+  landscape: 'landscape',
+  square: '1x1'
+};
+
+/**
+ * Create Wallhaven API client
+ * Works without a key (SFW only); a key raises limits
+ */
+const wallhavenClient = axios.create({
+  baseURL: WALLHAVEN_BASE_URL,
+  headers: process.env.WALLHAVEN_API_KEY ? { 'X-API-Key': process.env.WALLHAVEN_API_KEY } : {}
+});
+
+attachQuotaTracking(wallhavenClient, name, { limit: 45, windowMs: 60 * 1000, getRateLimitInfo });
+
+/**
+ * Whether the provider is enabled
+ * No key is required, so it is opt-in via a key or WALLHAVEN_ENABLED=true
+ */
+export function isConfigured() {
+  const key = process.env.WALLHAVEN_API_KEY;
+  return (Boolean(key) && !key.includes('your_')) || process.env.WALLHAVEN_ENABLED === 'true';
+}
+
+/**
+ * Title for a wallpaper without tags (search results never have them)
+ * Uses what it was found by, else Wallhaven's own category ("anime")
+ * @param {Object} photo - Wallhaven wallpaper object
+ * @param {string} foundBy - Search query or category slug, if any
+ */
+function fallbackTitle(photo, foundBy) {
+  const text = (foundBy || photo.category || '').replace(/[-_]+/g, ' ').trim();
+  if (!text) return 'Wallpaper';
+  
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)} wallpaper`;
+}
+
+/**
+ * Normalize Wallhaven wallpaper to our wallpaper format
+ * @param {Object} photo - Wallhaven wallpaper object
+ * @param {string} category - Category slug
+ * @param {string} foundBy - Search query or category slug, for the title when there are no tags
+ */
+function normalizePhoto(photo, category, foundBy = category) {
+  const tags = (photo.tags || []).map(t => t.name);
+  
+  return {
+    id: `wallhaven_${photo.id}`,
+    source: 'wallhaven',
+    external_id: photo.id,
+    title: tags.length > 0 ? tags.slice(0, 5).join(', ') : fallbackTitle(photo, foundBy),
+    photographer: photo.uploader?.username || 'Unknown',
+    photographer_url: photo.uploader?.username ? `https://wallhaven.cc/user/${photo.uploader.username}` : null,
+    url_thumb: photo.thumbs?.small || photo.thumbs?.large,
+    url_regular: photo.thumbs?.original || photo.thumbs?.large,
+    url_full: photo.path,
+    url_raw: photo.path,
+    width: photo.dimension_x,
+    height: photo.dimension_y,
+    color: photo.colors?.[0] || null,
+    blur_hash: null,
+    category: category,
+    tags: JSON.stringify(tags), // Only present on detail calls
+    is_featured: 0,
+    is_ai_generated: 0
+  };
+}
+
+/**
+ * Search wallpapers by query
+ * @param {string} query - Search query
+ * @param {string} category - Category slug to assign
+ * @param {number} page - Page number
+ * @param {number} perPage - Ignored, Wallhaven always returns the full page of 24
+ * @param {string} orientation - 'portrait', 'landscape' or 'square'
+ */
+export async function searchPhotos(query, category, page = 1, perPage = maxPerPage, orientation = 'portrait') {
+  try {
+    const response = await wallhavenClient.get('/search', {
+      params: {
+        q: query,
+        page,
+        categories: '110', // General + anime, no people
+        purity: '100', // SFW only
+        sorting: 'relevance',
+        ratios: RATIO_MAP[orientation]
+      }
+    });
+
+    // The whole page, even past perPage: the fetch cursor moves on to the next one
+    const photos = response.data.data || [];
+    return photos.map(photo => normalizePhoto(photo, category, query));
+  } catch (error) {
+    console.error('❌ Wallhaven search error:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get top-rated wallpapers
+ * @param {string} category - Category slug to assign
+ * @param {number} page - Page number
+ * @param {number} perPage - Ignored, Wallhaven always returns the full page of 24
+ */
+export async function getCuratedPhotos(category = null, page = 1, perPage = maxPerPage) {
+  try {
+    const response = await wallhavenClient.get('/search', {
+      params: {
+        page,
+        categories: '110',
+        purity: '100',
+        sorting: 'toplist',
+        topRange: '1M'
+      }
+    });
+
+    const photos = response.data.data || [];
+    return photos.map(photo => normalizePhoto(photo, category));
+  } catch (error) {
+    console.error('❌ Wallhaven toplist error:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a single wallpaper by ID (includes tags and uploader)
+ * @param {string} photoId - Wallhaven wallpaper ID
+ */
+export async function getPhotoById(photoId) {
+  try {
+    const response = await wallhavenClient.get(`/w/${photoId}`);
+    return normalizePhoto(response.data.data, null);
+  } catch (error) {
+    console.error('❌ Wallhaven get wallpaper error:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Track download
+ * Wallhaven has no download endpoint, so this is a no-op kept for the provider interface
+ */
+export async function trackDownload() {}
+
+/**
+ * Read rate limit info from response headers (called by the quota manager)
+ * Wallhaven allows 45 requests/minute and doesn't always send headers;
+ * the quota manager counts requests itself when they're missing
+ * @returns {{ limit: number | null, remaining: number | null, resetAt: number | null }}
+ */
+export function getRateLimitInfo(headers, now = Date.now()) {
+  return parseRateLimitHeaders(headers, now);
+}
+
+export default {
+  name,
+  maxPerPage,
+  detailTags,
+  imageSizes,
+  isConfigured,
+  searchPhotos,
+  getCuratedPhotos,
+  getPhotoById,
+  trackDownload,
+  getRateLimitInfo
+};
@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readdir, rm, utimes, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Image cache source selection and eviction, against a temporary cache
+ * directory. IMAGE_CACHE_DIR is read when the module loads, so it is
+ * imported only once the directory exists.
+ */
+
+let dir;
+let imageCache;
+
+const unsplashPhoto = {
+  _id: 'unsplash_abc',
+  source: 'unsplash',
+  width: 4000,
+  height: 6000,
+  url_thumb: 'https://images.unsplash.com/thumb.jpg',
+  url_regular: 'https://images.unsplash.com/regular.jpg',
+  url_full: 'https://images.unsplash.com/full.jpg'
+};
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'image-cache-'));
+  process.env.IMAGE_CACHE_DIR = dir;
+  imageCache = await import('../src/services/imageCache.js');
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+test('variants render from the smallest URL that covers them', () => {
+  assert.equal(imageCache.pickSourceUrl(unsplashPhoto, 'thumb').field, 'url_regular');
+  assert.equal(imageCache.pickSourceUrl(unsplashPhoto, 'preview').field, 'url_regular');
+  // regular is 1080×1620, short of a 1080×2400 phone screen
+  assert.equal(imageCache.pickSourceUrl(unsplashPhoto, 'phone').field, 'url_full');
+});
+
+test('a smaller URL holding the whole original is used as is', () => {
+  const small = { ...unsplashPhoto, width: 180, height: 240 };
+
+  assert.equal(imageCache.pickSourceUrl(small, 'preview').field, 'url_thumb');
+});
+
+test('without known sizes the full image is used', () => {
+  assert.equal(imageCache.pickSourceUrl({ ...unsplashPhoto, width: 0 }, 'thumb').field, 'url_full');
+  assert.equal(imageCache.pickSourceUrl({ ...unsplashPhoto, source: 'wallhaven' }, 'thumb').field, 'url_full');
+});
+
+test('pruning evicts the least recently served wallpapers first', async () => {
+  const ages = { old: 3, middle: 2, recent: 1 };
+  for (const [id, days] of Object.entries(ages)) {
+    await mkdir(join(dir, id));
+    await writeFile(join(dir, id, 'thumb.jpg'), Buffer.alloc(1000));
+    const time = new Date(Date.now() - days * 86400000);
+    await utimes(join(dir, id), time, time);
+  }
+
+  const result = await imageCache.pruneImageCache({ maxBytes: 2000 });
+
+  assert.deepEqual(result, { removed: 1, freedBytes: 1000, totalBytes: 2000 });
+  assert.deepEqual((await readdir(dir)).sort(), ['middle', 'recent']);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor } from '../src/services/pagination.js';
+import { resolveSort, isValidCursor } from '../src/services/database.js';
+
+function cursorWith(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+test('unknown sorts fall back to popular', () => {
+  for (const sort of ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'bogus', undefined]) {
+    assert.equal(resolveSort(sort), 'popular');
+  }
+  assert.equal(resolveSort('newest'), 'newest');
+});
+
+test('color sort needs a hex color', () => {
+  assert.equal(resolveSort('color'), 'popular');
+  assert.equal(resolveSort('color', { color: 'blue' }), 'popular');
+  assert.equal(resolveSort('color', { color: '#1e3a8a' }), 'color');
+});
+
+test('cursors round-trip', () => {
+  const createdAt = new Date('2026-01-02T03:04:05.000Z');
+  const cursor = decodeCursor(encodeCursor({ sort: 'newest', values: [createdAt, 'pexels_1'] }));
+
+  assert.deepEqual(cursor, { sort: 'newest', seed: null, values: [createdAt, 'pexels_1'] });
+  assert.equal(isValidCursor(cursor), true);
+});
+
+test('cursors naming a bogus sort are rejected', () => {
+  for (const sort of ['toString', 'constructor', '__proto__', 'bogus']) {
+    const cursor = decodeCursor(cursorWith({ s: sort, v: [1, 'x'] }));
+    assert.equal(isValidCursor(cursor), false);
+  }
+});
+
+test('cursors with the wrong number of values are rejected', () => {
+  assert.equal(isValidCursor(decodeCursor(cursorWith({ s: 'popular', v: [3] }))), false);
+  assert.equal(isValidCursor(decodeCursor(cursorWith({ s: 'newest', v: [] }))), false);
+  assert.equal(isValidCursor(decodeCursor(cursorWith({ s: 'color', v: [1, 2, 'x'] }))), false);
+});
+
+test('malformed cursors do not decode', () => {
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(cursorWith({ s: 'popular', v: [{ $gt: 0 }, 1, 'x'] })), null);
+  assert.equal(decodeCursor(cursorWith({ s: 1, v: [] })), null);
+});
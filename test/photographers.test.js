@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { photographerSlug } from '../src/services/photographers.js';
+
+test('slug comes from the profile handle', () => {
+  assert.equal(photographerSlug('unsplash', 'Jane Doe', 'https://unsplash.com/@jane_doe'), 'unsplash-jane-doe');
+  assert.equal(photographerSlug('pexels', 'Jane Doe', 'https://www.pexels.com/@jane-doe-48213/'), 'pexels-jane-doe-48213');
+  assert.equal(photographerSlug('pixabay', 'Josch13', 'https://pixabay.com/users/Josch13-48777/'), 'pixabay-josch13-48777');
+  assert.equal(photographerSlug('wallhaven', 'mirage', 'https://wallhaven.cc/user/mirage'), 'wallhaven-mirage');
+});
+
+test('namesakes with different profiles get different slugs', () => {
+  assert.notEqual(
+    photographerSlug('pexels', 'Alex', 'https://www.pexels.com/@alex-1/'),
+    photographerSlug('pexels', 'Alex', 'https://www.pexels.com/@alex-2/')
+  );
+});
+
+test('the name stands in without a profile URL', () => {
+  assert.equal(photographerSlug('unsplash', 'José Ñúñez'), 'unsplash-jose-nunez');
+  assert.equal(photographerSlug('unsplash', 'Jane Doe', 'not a url'), 'unsplash-jane-doe');
+  assert.match(photographerSlug('pexels', '山田太郎'), /^pexels-[0-9a-f]{10}$/);
+});
+
+test('unknown photographers have no slug', () => {
+  assert.equal(photographerSlug('wallhaven', 'Unknown'), null);
+  assert.equal(photographerSlug('pexels', ''), null);
+  assert.equal(photographerSlug('pexels', null), null);
+  assert.equal(photographerSlug(null, 'Jane Doe'), null);
+});
@@ -0,0 +1,173 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+/**
+ * Provider normalizers, run against a local stand-in through the
+ * <NAME>_API_URL overrides. The base URLs are read when the provider modules
+ * load, so they are imported only once the stand-in is listening.
+ */
+
+const requests = [];
+let server;
+let pixabay;
+let wallhaven;
+
+const pixabayHit = {
+  id: 195893,
+  tags: 'blossom, bloom, flower',
+  user: 'Josch13',
+  user_id: 48777,
+  previewURL: 'https://cdn.pixabay.com/photo/preview.jpg',
+  webformatURL: 'https://pixabay.com/get/webformat.jpg',
+  largeImageURL: 'https://pixabay.com/get/large.jpg',
+  imageWidth: 4000,
+  imageHeight: 6000
+};
+
+function wallhavenWallpaper(id, extra = {}) {
+  return {
+    id,
+    category: 'general',
+    dimension_x: 1440,
+    dimension_y: 2560,
+    path: `https://w.wallhaven.cc/full/${id}.jpg`,
+    colors: ['#424153', '#999999'],
+    thumbs: {
+      large: `https://th.wallhaven.cc/lg/${id}.jpg`,
+      original: `https://th.wallhaven.cc/orig/${id}.jpg`,
+      small: `https://th.wallhaven.cc/small/${id}.jpg`
+    },
+    ...extra
+  };
+}
+
+function respond(res, body) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+
+    if (url.pathname === '/pixabay/') {
+      return respond(res, { total: 1, totalHits: 1, hits: [pixabayHit] });
+    }
+    if (url.pathname === '/wallhaven/search') {
+      // Wallhaven always answers with a full page of 24
+      const page = Array.from({ length: 24 }, (_, i) => wallhavenWallpaper(`w${i}`));
+      return respond(res, { data: page, meta: { current_page: 1, last_page: 5 } });
+    }
+    if (url.pathname.startsWith('/wallhaven/w/')) {
+      const id = url.pathname.split('/').pop();
+      return respond(res, {
+        data: wallhavenWallpaper(id, {
+          uploader: { username: 'mirage' },
+          tags: [{ name: 'mountains' }, { name: 'night' }]
+        })
+      });
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.PIXABAY_API_URL = `${base}/pixabay`;
+  process.env.PIXABAY_API_KEY = 'test-key';
+  process.env.WALLHAVEN_API_URL = `${base}/wallhaven`;
+
+  pixabay = await import('../src/services/pixabay.js');
+  wallhaven = await import('../src/services/wallhaven.js');
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('pixabay search hits the overridden URL with the key and orientation', async () => {
+  requests.length = 0;
+  await pixabay.searchPhotos('flowers', 'nature', 2, 20, 'portrait');
+
+  assert.equal(requests.length, 1);
+  const params = requests[0].searchParams;
+  assert.equal(params.get('key'), 'test-key');
+  assert.equal(params.get('q'), 'flowers');
+  assert.equal(params.get('page'), '2');
+  assert.equal(params.get('per_page'), '20');
+  assert.equal(params.get('orientation'), 'vertical');
+});
+
+test('pixabay normalizes a hit', async () => {
+  const [wallpaper] = await pixabay.searchPhotos('flowers', 'nature');
+
+  assert.equal(wallpaper.id, 'pixabay_195893');
+  assert.equal(wallpaper.source, 'pixabay');
+  assert.equal(wallpaper.external_id, '195893');
+  assert.equal(wallpaper.title, 'blossom, bloom, flower');
+  assert.equal(wallpaper.photographer, 'Josch13');
+  assert.equal(wallpaper.photographer_url, 'https://pixabay.com/users/Josch13-48777/');
+  assert.equal(wallpaper.url_thumb, pixabayHit.previewURL);
+  assert.equal(wallpaper.url_regular, pixabayHit.webformatURL);
+  assert.equal(wallpaper.url_full, pixabayHit.largeImageURL);
+  assert.equal(wallpaper.url_raw, pixabayHit.largeImageURL);
+  assert.equal(wallpaper.width, 4000);
+  assert.equal(wallpaper.height, 6000);
+  assert.equal(wallpaper.category, 'nature');
+  assert.deepEqual(JSON.parse(wallpaper.tags), ['blossom', 'bloom', 'flower']);
+});
+
+test('pixabay looks a photo up by id', async () => {
+  requests.length = 0;
+  const wallpaper = await pixabay.getPhotoById('195893');
+
+  assert.equal(requests[0].searchParams.get('id'), '195893');
+  assert.equal(wallpaper.id, 'pixabay_195893');
+});
+
+test('wallhaven search hits the overridden URL, SFW only', async () => {
+  requests.length = 0;
+  await wallhaven.searchPhotos('mountain landscape', 'nature', 3, 20, 'square');
+
+  assert.equal(requests.length, 1);
+  const params = requests[0].searchParams;
+  assert.equal(params.get('q'), 'mountain landscape');
+  assert.equal(params.get('page'), '3');
+  assert.equal(params.get('purity'), '100');
+  assert.equal(params.get('ratios'), '1x1');
+});
+
+test('wallhaven search keeps the whole page', async () => {
+  const wallpapers = await wallhaven.searchPhotos('mountain landscape', 'nature', 1, 20);
+
+  assert.equal(wallpapers.length, 24);
+});
+
+test('wallhaven normalizes an untagged search result', async () => {
+  const [wallpaper] = await wallhaven.searchPhotos('mountain landscape', 'nature');
+
+  assert.equal(wallpaper.id, 'wallhaven_w0');
+  assert.equal(wallpaper.source, 'wallhaven');
+  assert.equal(wallpaper.external_id, 'w0');
+  assert.equal(wallpaper.title, 'Mountain landscape wallpaper');
+  assert.equal(wallpaper.photographer, 'Unknown');
+  assert.equal(wallpaper.photographer_url, null);
+  assert.equal(wallpaper.url_thumb, 'https://th.wallhaven.cc/small/w0.jpg');
+  assert.equal(wallpaper.url_regular, 'https://th.wallhaven.cc/orig/w0.jpg');
+  assert.equal(wallpaper.url_full, 'https://w.wallhaven.cc/full/w0.jpg');
+  assert.equal(wallpaper.width, 1440);
+  assert.equal(wallpaper.height, 2560);
+  assert.equal(wallpaper.color, '#424153');
+  assert.equal(wallpaper.category, 'nature');
+  assert.deepEqual(JSON.parse(wallpaper.tags), []);
+});
+
+test('wallhaven detail call brings tags and uploader', async () => {
+  const wallpaper = await wallhaven.getPhotoById('abc123');
+
+  assert.equal(requests.at(-1).pathname, '/wallhaven/w/abc123');
+  assert.equal(wallpaper.title, 'mountains, night');
+  assert.deepEqual(JSON.parse(wallpaper.tags), ['mountains', 'night']);
+  assert.equal(wallpaper.photographer, 'mirage');
+  assert.equal(wallpaper.photographer_url, 'https://wallhaven.cc/user/mirage');
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachQuotaTracking, recordResponse, getAvailable, getQuotaStatus } from '../src/services/quota.js';
+
+// Only the interceptor registration is used from the client
+const client = { interceptors: { response: { use() {} } } };
+
+test('remaining comes from the rate-limit header', () => {
+  attachQuotaTracking(client, 'header-test', { limit: 50, windowMs: 60 * 1000 });
+  recordResponse('header-test', 200, { 'x-ratelimit-limit': '50', 'x-ratelimit-remaining': '31' });
+
+  assert.equal(getAvailable('header-test'), 30);
+});
+
+test('an unparseable remaining header counts the request instead of breaking the quota', () => {
+  attachQuotaTracking(client, 'garbage-test', { limit: 50, windowMs: 60 * 1000 });
+  recordResponse('garbage-test', 200, { 'x-ratelimit-remaining': 'unlimited' });
+  recordResponse('garbage-test', 200, { 'x-ratelimit-remaining': '' });
+
+  assert.equal(getAvailable('garbage-test'), 47);
+});
+
+test('the provider parses its own headers', () => {
+  const getRateLimitInfo = headers => ({ limit: 10, remaining: parseInt(headers['x-left']), resetAt: 5000 });
+  attachQuotaTracking(client, 'custom-test', { limit: 50, windowMs: 60 * 1000, getRateLimitInfo });
+  recordResponse('custom-test', 200, { 'x-left': '4' }, 1000);
+
+  const quota = getQuotaStatus(1000).find(q => q.provider === 'custom-test');
+  assert.equal(quota.limit, 10);
+  assert.equal(quota.remaining, 4);
+  assert.equal(quota.resetAt.getTime(), 5000);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreSimilarity } from '../src/services/similarity.js';
+
+test('same photographer means the same profile, not the same display name', () => {
+  const wallpaper = { photographer: 'Alex', photographer_slug: 'pexels-alex-1' };
+
+  assert.equal(scoreSimilarity(wallpaper, { photographer: 'Alex', photographer_slug: 'pexels-alex-2' }), 0);
+  assert.equal(scoreSimilarity(wallpaper, { photographer: 'Alex', photographer_slug: 'pexels-alex-1' }), 0.1);
+  assert.equal(scoreSimilarity({ photographer: 'Unknown' }, { photographer: 'Unknown' }), 0);
+});
+
+test('shared tags and categories add up', () => {
+  const wallpaper = { tags: ['mountain', 'lake'], categories: ['nature'] };
+  const candidate = { tags: ['mountain', 'lake', 'snow', 'sky'], categories: ['nature', 'minimal'] };
+
+  assert.equal(scoreSimilarity(wallpaper, candidate), 0.275);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTag, deriveTags, matchCategory } from '../src/services/tags.js';
+
+test('plurals are singularized', () => {
+  assert.equal(normalizeTag('Mountains'), 'mountain');
+  assert.equal(normalizeTag('trees'), 'tree');
+  assert.equal(normalizeTag('beaches'), 'beach');
+  assert.equal(normalizeTag('cities'), 'city');
+  assert.equal(normalizeTag('leaves'), 'leaf');
+  assert.equal(normalizeTag('snowy mountains'), 'snowy mountain');
+});
+
+test('-ies only becomes -y for known words', () => {
+  assert.equal(normalizeTag('butterflies'), 'butterfly');
+  assert.equal(normalizeTag('movies'), 'movie');
+  assert.equal(normalizeTag('cookies'), 'cookie');
+});
+
+test('words that only look plural are kept', () => {
+  for (const word of ['christmas', 'series', 'lens', 'canvas', 'news', 'mercedes', 'species', 'cactus', 'glass']) {
+    assert.equal(normalizeTag(word), word);
+  }
+  assert.equal(normalizeTag('Christmas'), 'christmas');
+});
+
+test('stems mangled by the old rules are repaired', () => {
+  assert.deepEqual(deriveTags({ tags: ['christma', 'movy', 'sery', 'tree'] }), ['christmas', 'movie', 'series', 'tree']);
+});
+
+test('uncategorized wallpapers match the category sharing the most tags', () => {
+  const categories = [
+    { slug: 'nature', name: 'Nature', search_query: 'nature landscape mountains forest' },
+    { slug: 'space', name: 'Space & Galaxy', search_query: 'space galaxy stars nebula cosmos' }
+  ];
+
+  assert.equal(matchCategory(['night', 'star', 'galaxy', 'mountain'], categories).slug, 'space');
+  assert.equal(matchCategory(['forest', 'mountain'], categories).slug, 'nature');
+  assert.equal(matchCategory(['car', 'street'], categories), null);
+});